@@ -0,0 +1,238 @@
+// Tab History Tree Generator - Analytics
+// Shows the aggregates the background's getAnalytics action computes over all
+// stored tabs (see HistoryAnalytics) for the chosen date range.
+const ANALYTICS_RANGES = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+};
+
+class TabHistoryAnalytics {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        this.applyPreset('week');
+        this.loadAnalytics();
+    }
+
+    bindEvents() {
+        document.getElementById('rangeSelect').addEventListener('change', (e) => {
+            if (e.target.value === 'custom') return;
+            this.applyPreset(e.target.value);
+            this.loadAnalytics();
+        });
+
+        for (const id of ['fromDate', 'toDate']) {
+            document.getElementById(id).addEventListener('change', () => {
+                document.getElementById('rangeSelect').value = 'custom';
+                this.loadAnalytics();
+            });
+        }
+
+        document.getElementById('refreshBtn').addEventListener('click', () => {
+            this.loadAnalytics();
+        });
+    }
+
+    applyPreset(preset) {
+        document.getElementById('rangeSelect').value = preset;
+        const span = ANALYTICS_RANGES[preset];
+        document.getElementById('fromDate').value = span ? this.toDateInput(new Date(Date.now() - span)) : '';
+        document.getElementById('toDate').value = '';
+    }
+
+    getRange() {
+        // Presets cover the last N hours exactly; custom dates cover whole local days
+        const preset = document.getElementById('rangeSelect').value;
+        if (ANALYTICS_RANGES[preset]) {
+            return { from: Date.now() - ANALYTICS_RANGES[preset], to: null };
+        }
+
+        const fromValue = document.getElementById('fromDate').value;
+        const toValue = document.getElementById('toDate').value;
+        const from = fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null;
+        const to = toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null;
+        return { from: from, to: to };
+    }
+
+    async loadAnalytics() {
+        const status = document.getElementById('status');
+        status.textContent = 'Loading...';
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getAnalytics', range: this.getRange() });
+            if (!response || !response.success) {
+                status.textContent = 'Failed to load analytics: ' + (response && response.error || 'Unknown error');
+                return;
+            }
+            this.render(response.analytics);
+            status.textContent = `Updated ${new Date(response.analytics.generatedAt).toLocaleTimeString()}`;
+        } catch (error) {
+            console.error('Error loading analytics:', error);
+            status.textContent = 'Error communicating with extension: ' + error.message;
+        }
+    }
+
+    render(analytics) {
+        const { totals } = analytics;
+        this.renderStats('totals', [
+            ['Tabs', totals.tabs],
+            ['Navigations', totals.navigations],
+            ['Domains', totals.domains],
+            ['Time in front', formatDuration(totals.dwellTime)]
+        ]);
+
+        this.renderBars('domainsByVisits', analytics.topDomainsByVisits.map(domain => ({
+            label: domain.domain, value: domain.visits, text: String(domain.visits)
+        })));
+        this.renderBars('domainsByDwell', analytics.topDomainsByDwellTime.map(domain => ({
+            label: domain.domain, value: domain.dwellTime, text: formatDuration(domain.dwellTime)
+        })));
+
+        this.renderStats('branchDepth', [
+            ['Average depth', analytics.branchDepth.average.toFixed(1)],
+            ['Deepest branch', analytics.branchDepth.max]
+        ]);
+        this.renderBars('startPages', analytics.branchiestStartPages.map(page => ({
+            label: page.title || page.url,
+            title: page.url,
+            value: page.branchPoints,
+            text: `${page.branchPoints} in ${page.tabs} tab(s)`
+        })));
+        this.renderBars('abandoned', analytics.mostAbandonedBranches.map(tab => ({
+            label: `Tab ${tab.tabId}${tab.isClosed ? ' (Closed)' : ''} · ${tab.title}`,
+            title: 'Open this tab in the dashboard',
+            value: tab.abandonedBranches,
+            text: String(tab.abandonedBranches),
+            onClick: () => chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html?tab=${tab.tabId}`) })
+        })));
+
+        this.renderColumns('perHour', analytics.navigationsPerHour.map((navigations, hour) => ({
+            label: String(hour).padStart(2, '0'), value: navigations
+        })));
+        this.renderColumns('perDay', analytics.navigationsPerDay.map(day => ({
+            label: day.day.slice(5), title: day.day, value: day.navigations
+        })));
+
+        this.renderLifetimes(analytics.lifetimes);
+    }
+
+    renderStats(id, stats) {
+        document.getElementById(id).replaceChildren(...stats.map(([label, value]) => {
+            const stat = document.createElement('div');
+            stat.className = 'stat';
+            const number = document.createElement('div');
+            number.className = 'stat-value';
+            number.textContent = value;
+            const caption = document.createElement('div');
+            caption.className = 'stat-label';
+            caption.textContent = label;
+            stat.append(number, caption);
+            return stat;
+        }));
+    }
+
+    // Horizontal bars for ranked lists
+    renderBars(id, items) {
+        const container = document.getElementById(id);
+        if (items.length === 0) {
+            container.replaceChildren(this.createEmpty());
+            return;
+        }
+
+        const max = Math.max(...items.map(item => item.value));
+        container.replaceChildren(...items.map(item => {
+            const row = document.createElement('div');
+            row.className = 'bar-row';
+            row.title = item.title || item.label;
+            if (item.onClick) {
+                row.classList.add('clickable');
+                row.addEventListener('click', item.onClick);
+            }
+
+            const label = document.createElement('div');
+            label.className = 'bar-label';
+            label.textContent = item.label;
+            const track = document.createElement('div');
+            track.className = 'bar-track';
+            const bar = document.createElement('div');
+            bar.className = 'bar';
+            bar.style.width = `${max > 0 ? Math.max(1, 100 * item.value / max) : 0}%`;
+            track.appendChild(bar);
+            const value = document.createElement('div');
+            value.className = 'bar-value';
+            value.textContent = item.text;
+
+            row.append(label, track, value);
+            return row;
+        }));
+    }
+
+    // Vertical columns for counts over time
+    renderColumns(id, items) {
+        const container = document.getElementById(id);
+        if (items.every(item => item.value === 0)) {
+            container.replaceChildren(this.createEmpty());
+            return;
+        }
+
+        const max = Math.max(...items.map(item => item.value));
+        container.replaceChildren(...items.map(item => {
+            const column = document.createElement('div');
+            column.className = 'column';
+            column.title = `${item.title || item.label}: ${item.value} navigation(s)`;
+            const bar = document.createElement('div');
+            bar.className = 'column-bar';
+            bar.style.height = `${100 * item.value / max}%`;
+            const label = document.createElement('div');
+            label.className = 'column-label';
+            label.textContent = item.label;
+            column.append(bar, label);
+            return column;
+        }));
+    }
+
+    renderLifetimes(lifetimes) {
+        const rows = [['', 'Tabs', 'Average', 'Median', 'Longest']];
+        for (const [name, summary] of [['Active', lifetimes.active], ['Closed', lifetimes.closed]]) {
+            rows.push([
+                name,
+                String(summary.count),
+                formatDuration(summary.average),
+                formatDuration(summary.median),
+                formatDuration(summary.max)
+            ]);
+        }
+
+        const table = document.createElement('table');
+        rows.forEach((cells, index) => {
+            const row = table.insertRow();
+            for (const text of cells) {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+        });
+        document.getElementById('lifetimes').replaceChildren(table);
+    }
+
+    createEmpty() {
+        const empty = document.createElement('div');
+        empty.className = 'empty-state';
+        empty.textContent = 'Nothing in this range.';
+        return empty;
+    }
+
+    toDateInput(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
+
+// Initialize the analytics page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new TabHistoryAnalytics();
+});
@@ -1,52 +1,292 @@
 // Tab History Tree Generator - Background Service Worker
 console.log('Tab History Tree Generator: Background script starting...');
 
+importScripts('history-store.js', 'session-history-store.js', 'privacy-rules.js', 'history-analytics.js');
+
+// Export file versions (written by the popup's exportData) that importHistory understands
+const SUPPORTED_EXPORT_VERSIONS = ['1.0'];
+
+// Stored under the 'settings' key in chrome.storage.local; a limit of 0 means unlimited
+const DEFAULT_SETTINGS = {
+    tracking: {
+        enabled: true,
+        createNodesOnNavigation: true,
+        createNodesOnActivation: true,
+        recordReloads: false
+    },
+    retention: {
+        maxAgeDays: 90,
+        maxClosedTabs: 1000,
+        maxTotalEntries: 50000,
+        maxStorageMB: 100
+    },
+    privacy: {
+        denyList: [], // domain globs that are never recorded
+        allowList: [], // when non-empty, only these domains are recorded
+        stripParams: ['utm_*'], // query parameter globs removed before a URL is stored
+        stripFragments: false,
+        storeHistoryState: true
+    },
+    display: {
+        defaultView: 'tabs',
+        dateFormat: 'locale',
+        showSessionHistory: true,
+        nodeOrder: 'visit' // how sibling branches are ordered in the popup
+    }
+};
+
+// Allowed values for settings that aren't free-form
+const SETTING_CHOICES = {
+    'display.defaultView': ['tabs', 'lineage'],
+    'display.dateFormat': ['locale', 'iso', 'relative'],
+    'display.nodeOrder': ['visit', 'dwell']
+};
+
+// Numeric settings are whole numbers from 0 up to these
+const SETTING_MAXIMUMS = {
+    'retention.maxAgeDays': 36500,
+    'retention.maxClosedTabs': 1000000,
+    'retention.maxTotalEntries': 10000000,
+    'retention.maxStorageMB': 1000000
+};
+
+// Kept in chrome.storage.session: tab and window ids don't outlive the browser session
+const PAUSE_STATE_KEY = 'pauseState';
+
+// Set in chrome.storage.session once the worker has run; missing means the browser
+// (re)started and restored tabs came back under new ids
+const SESSION_MARKER_KEY = 'sessionStartedAt';
+
+// How many entries up to the current one are compared when pairing a restored tab
+// with its old history
+const RESTORE_MATCH_DEPTH = 5;
+
+// Back/forward moves remembered per node (entry.arrivals), oldest dropped first
+const MAX_NODE_ARRIVALS = 20;
+
+// Foreground time is credited to a node when it leaves the front. The open segment is
+// kept in chrome.storage.session so it survives the worker being suspended mid-read.
+const DWELL_STATE_KEY = 'dwellSegment';
+const IDLE_DETECTION_SECONDS = 60;
+
+// Views connect a port with this name to receive history events (see broadcast())
+const HISTORY_EVENTS_PORT = 'historyEvents';
+// Counts history changes, so a view reconnecting after the worker was stopped can tell
+// whether it missed any. Kept in chrome.storage.session to carry over worker restarts.
+const REVISION_STATE_KEY = 'historyRevision';
+const REVISION_SAVE_DELAY = 1000;
+// Sent to open views when the worker starts, so they reconnect without waking it themselves
+const WORKER_STARTED_ACTION = 'historyWorkerStarted';
+
+// Opt-in trace of the raw events the tracker receives and the browser's answers to
+// its queries, for replaying a bug in replay.html. Kept in chrome.storage.session so a
+// recording survives the worker being suspended.
+const TRACE_STATE_KEY = 'traceRecording';
+const TRACE_VERSION = '1.0';
+const TRACE_MAX_RECORDS = 5000;
+const TRACE_SAVE_DELAY = 1000;
+// Messages from the views that change history, settings or pausing; a trace records
+// them as events too, so a replay goes through the same changes
+const TRACED_ACTIONS = new Set([
+    'clearHistory', 'clearClosedTabs', 'importHistory', 'setTabPinned', 'updateSettings',
+    'resetSettings', 'applyPrivacyRules', 'setPaused', 'pruneClosedTabs', 'navigateToNode',
+    'reopenClosedTab'
+]);
+
+const PRUNE_ALARM_NAME = 'pruneClosedTabs';
+const PRUNE_INTERVAL_MINUTES = 60;
+
 class TabHistoryTracker {
     constructor() {
-        this.tabHistories = new Map(); // tabId -> {tree, sessionHistory, currentIndex}
+        this.tabHistories = new Map(); // tabId -> {nodes, stack, currentIndex, currentNodeId, tree}
         this.tabCreationTimes = new Map(); // tabId -> creation timestamp
-        this.closedTabHistories = new Map(); // tabId -> history data (for closed tabs)
-        this.init();
+        this.closedTabHistories = new Map(); // tabId -> history data (for closed tabs); nodes stay null until loadClosedTabs()
+        // In split mode the incognito profile gets its own worker; it must never write to disk
+        this.incognito = chrome.extension.inIncognitoContext === true;
+        this.store = this.incognito ? new SessionHistoryStore() : new HistoryStore();
+        this.settings = DEFAULT_SETTINGS;
+        this.privacy = new PrivacyRules(DEFAULT_SETTINGS.privacy);
+        this.pendingOpeners = new Map(); // tabId -> opener info for tabs without history yet
+        this.pendingNavigations = new Map(); // tabId -> {traversalIndex, replayNodeIds} started by navigateToNode
+        this.lastNavigatedUrls = new Map(); // tabId -> URL of the last top-frame navigation seen, tracked or not
+        this.tabWindowIds = new Map(); // tabId -> windowId, for per-window pausing
+        this.pauseState = { global: false, windowIds: new Set(), tabIds: new Set() };
+        this.ports = new Set(); // open views subscribed to history events
+        this.revision = 0; // bumped by every history event, whether or not a view is listening
+        this.revisionSaveTimer = null;
+        // What is in front of the user: the focused window, idle state and the open dwell segment
+        this.dwell = { windowId: chrome.windows.WINDOW_ID_NONE, idleState: 'active', segment: null }; // segment: {tabId, nodeId, since}
+        this.trace = null; // {version, startedAt, settings, pauseState, tabs, truncated, records} while recording
+        this.traceSaveTimer = null;
+        // Registered before init() awaits anything: the event that woke the worker is
+        // dispatched as soon as the script has run and would find no listener later.
+        // Each handler waits for init() (see whenReady()).
+        this.setupEventListeners();
+        // Resolves once stored state is loaded and the open tabs are picked up
+        this.ready = this.init();
     }
 
     async init() {
+        await this.loadSettings();
+        await this.loadPauseState();
+        await this.loadTraceState();
+        await this.loadDwellState();
+        await this.loadRevision();
         await this.loadStoredData();
-        this.setupEventListeners();
-        this.initializeExistingTabs();
+        await this.reconcileRestoredTabs();
+        await this.initializeExistingTabs();
+        this.updateDwell();
+        // Alarms outlive the worker; creating it again on every start would keep pushing the prune back
+        if (!(await chrome.alarms.get(PRUNE_ALARM_NAME))) {
+            chrome.alarms.create(PRUNE_ALARM_NAME, { delayInMinutes: 1, periodInMinutes: PRUNE_INTERVAL_MINUTES });
+        }
+        // Fails when no view is open to receive it
+        chrome.runtime.sendMessage({ action: WORKER_STARTED_ACTION }).catch(() => {});
         console.log('Tab History Tree Generator: Initialized successfully');
     }
 
     setupEventListeners() {
         // Track tab creation
-        chrome.tabs.onCreated.addListener(
+        chrome.tabs.onCreated.addListener(this.whenReady(this.traced('tabs.onCreated',
             (tab) => this.handleTabCreated(tab)
-        );
+        )));
 
         // Track tab updates
-        chrome.tabs.onUpdated.addListener(
+        chrome.tabs.onUpdated.addListener(this.whenReady(this.traced('tabs.onUpdated',
             (tabId, changeInfo, tab) => this.handleTabUpdate(tabId, changeInfo, tab)
-        );
+        )));
+
+        // Track committed top-level navigations with their real transition type
+        chrome.webNavigation.onCommitted.addListener(this.whenReady(this.traced('webNavigation.onCommitted',
+            (details) => this.handleNavigationCommitted(details)
+        )));
+
+        // Track same-document navigations in single-page apps
+        chrome.webNavigation.onHistoryStateUpdated.addListener(this.whenReady(this.traced('webNavigation.onHistoryStateUpdated',
+            (details) => this.handleHistoryStateUpdated(details)
+        )));
+        chrome.webNavigation.onReferenceFragmentUpdated.addListener(this.whenReady(this.traced('webNavigation.onReferenceFragmentUpdated',
+            (details) => this.handleReferenceFragmentUpdated(details)
+        )));
+
+        // Track which tab and node a new tab was opened from
+        chrome.webNavigation.onCreatedNavigationTarget.addListener(this.whenReady(this.traced('webNavigation.onCreatedNavigationTarget',
+            (details) => this.handleCreatedNavigationTarget(details)
+        )));
 
         // Track tab activation
-        chrome.tabs.onActivated.addListener(
+        chrome.tabs.onActivated.addListener(this.whenReady(this.traced('tabs.onActivated',
             (activeInfo) => this.handleTabActivation(activeInfo)
-        );
+        )));
+
+        // Dwell time only runs while the window has focus and the user isn't idle
+        chrome.windows.onFocusChanged.addListener(this.whenReady((windowId) => {
+            this.dwell.windowId = windowId;
+            this.updateDwell();
+        }));
+        chrome.idle.onStateChanged.addListener(this.whenReady(
+            (state) => this.handleIdleStateChange(state)
+        ));
 
         // Handle tab closure - preserve history
-        chrome.tabs.onRemoved.addListener(
+        chrome.tabs.onRemoved.addListener(this.whenReady(this.traced('tabs.onRemoved',
             (tabId) => this.handleTabClose(tabId)
-        );
+        )));
+
+        // Follow tabs between windows so per-window pausing stays accurate
+        chrome.tabs.onAttached.addListener(this.whenReady(this.traced('tabs.onAttached', (tabId, attachInfo) => {
+            this.setTabWindow(tabId, attachInfo.newWindowId);
+            this.recordTabPosition(tabId, attachInfo.newWindowId, attachInfo.newPosition);
+        })));
+        chrome.tabs.onMoved.addListener(this.whenReady(this.traced('tabs.onMoved', (tabId, moveInfo) => {
+            this.recordTabPosition(tabId, moveInfo.windowId, moveInfo.toIndex);
+        })));
+        chrome.windows.onRemoved.addListener(this.whenReady((windowId) => {
+            if (this.pauseState.windowIds.delete(windowId)) this.savePauseState();
+            if (this.incognito) this.discardIfLastIncognitoWindow();
+        }));
+
+        // Pick up settings changed from any view
+        chrome.storage.onChanged.addListener(this.whenReady((changes, areaName) => {
+            if (areaName === 'local' && changes.settings) {
+                this.applySettings(changes.settings.newValue);
+                this.pruneClosedTabs();
+            }
+        }));
+
+        // Periodically enforce the retention policy on closed tabs
+        chrome.alarms.onAlarm.addListener(this.whenReady((alarm) => {
+            if (alarm.name === PRUNE_ALARM_NAME) this.pruneClosedTabs();
+        }));
+
+        // Views subscribe to granular updates instead of re-fetching everything
+        chrome.runtime.onConnect.addListener(this.whenReady((port) => this.handleConnect(port)));
+
+        // Handle messages from popup. The answer comes after init(), so the channel
+        // has to be kept open by returning true straight away.
+        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            this.ready.then(() => {
+                if (TRACED_ACTIONS.has(request.action)) {
+                    this.recordTrace({ event: 'runtime.onMessage', args: [request] });
+                }
+                this.handleMessage(request, sender, sendResponse);
+            });
+            return true;
+        });
+    }
 
-        // Handle messages from popup
-        chrome.runtime.onMessage.addListener(
-            (request, sender, sendResponse) => this.handleMessage(request, sender, sendResponse)
-        );
+    // Wraps an event listener so it runs once init() has loaded the state it works on.
+    // Events that arrive meanwhile are handled in the order they came in.
+    whenReady(listener) {
+        return async (...args) => {
+            await this.ready;
+            return listener(...args);
+        };
     }
 
     handleTabCreated(tab) {
         // Store the original creation time of the tab
         this.tabCreationTimes.set(tab.id, Date.now());
-        console.log(`Tab ${tab.id} created at: ${new Date(this.tabCreationTimes.get(tab.id))}`);
+        this.setTabWindow(tab.id, tab.windowId);
+
+        if (tab.openerTabId !== undefined) {
+            this.setTabOpener(tab.id, tab.openerTabId);
+        }
+    }
+
+    handleCreatedNavigationTarget(details) {
+        // More precise than openerTabId: also fires for window.open and tells us the source frame
+        const extra = { sourceFrameId: details.sourceFrameId };
+        // Stored with the tab, so it gets the same privacy treatment as an entry URL
+        const targetUrl = this.getRecordableUrl(details.url);
+        if (targetUrl) extra.targetUrl = targetUrl;
+        this.setTabOpener(details.tabId, details.sourceTabId, extra);
+    }
+
+    // The URL as an entry would record it, or null when the privacy rules deny it
+    getRecordableUrl(url) {
+        return this.privacy.isAllowed(url) ? this.privacy.redactUrl(url) : null;
+    }
+
+    setTabOpener(tabId, openerTabId, extra = {}) {
+        const openerHistory = this.tabHistories.get(openerTabId);
+        if (!openerHistory) return;
+
+        const tabHistory = this.tabHistories.get(tabId);
+        const existing = tabHistory ? tabHistory.opener : this.pendingOpeners.get(tabId);
+        // onCreated and onCreatedNavigationTarget both report the same spawn; keep the first node
+        const opener = existing && existing.tabId === openerTabId ? { ...existing, ...extra } : {
+            tabId: openerTabId,
+            nodeId: openerHistory.currentNodeId,
+            url: this.getStackEntry(openerHistory, openerHistory.currentIndex).url,
+            ...extra
+        };
+
+        if (tabHistory) {
+            tabHistory.opener = opener;
+        } else {
+            this.pendingOpeners.set(tabId, opener);
+        }
     }
 
     async initializeExistingTabs() {
@@ -59,10 +299,12 @@ class TabHistoryTracker {
                 if (!this.tabCreationTimes.has(tab.id)) {
                     this.tabCreationTimes.set(tab.id, currentTime);
                 }
+                this.setTabWindow(tab.id, tab.windowId);
                 
                 if (tab.url && this.isValidUrl(tab.url)) {
                     await this.initializeTabHistory(tab.id, tab.url, tab.title);
                 }
+                this.recordTabPosition(tab.id, tab.windowId, tab.index);
             }
             console.log(`Initialized ${tabs.length} existing tabs`);
         } catch (error) {
@@ -71,69 +313,625 @@ class TabHistoryTracker {
     }
 
     async initializeTabHistory(tabId, url, title) {
+        if (!this.privacy.isAllowed(url)) return;
+        url = this.privacy.redactUrl(url);
+
         if (!this.tabHistories.has(tabId)) {
             const creationTime = this.tabCreationTimes.get(tabId) || Date.now();
-            const initialEntry = this.createHistoryEntry(url, title, 'initial', creationTime);
-            
-            this.tabHistories.set(tabId, {
-                sessionHistory: [initialEntry],
-                currentIndex: 0,
-                tree: this.createTreeNode(initialEntry, 0, true), // Create tree node immediately
-                lastUpdated: Date.now(),
-                isClosed: false // Mark as active tab
-            });
-            console.log(`Initialized tab ${tabId} with URL: ${url}`);
+            this.tabHistories.set(tabId, this.createTabHistory(tabId, url, title, creationTime));
+            this.persistTab(tabId);
+            this.broadcastTabUpdated(tabId);
         }
     }
 
+    createTabHistory(tabId, url, title, creationTime, transition = {}) {
+        const initialEntry = this.createHistoryEntry(url, title, 'initial', creationTime, {}, transition);
+        const tabHistory = {
+            nodes: [this.createHistoryNode(0, null, initialEntry)], // every navigation ever seen in this tab
+            stack: [0], // node ids of the browser's back/forward stack
+            currentIndex: 0, // position of the cursor within stack
+            currentNodeId: 0,
+            tree: null,
+            lastUpdated: Date.now(),
+            creationTime: creationTime,
+            opener: this.pendingOpeners.get(tabId) || null, // {tabId, nodeId, url} this tab was spawned from
+            isClosed: false // Mark as active tab
+        };
+        this.pendingOpeners.delete(tabId);
+        tabHistory.tree = this.buildTree(tabHistory); // Create tree immediately
+        return tabHistory;
+    }
+
     async handleTabUpdate(tabId, changeInfo, tab) {
+        this.tabWindowIds.set(tabId, tab.windowId);
+        this.recordTabPosition(tabId, tab.windowId, tab.index);
+        if (!this.settings.tracking.enabled) return;
+
+        // Entries hold redacted URLs, so compare against the redacted form
+        const url = tab.url && this.privacy.redactUrl(tab.url);
+
+        // Single-page apps usually set the title after pushState, without a new 'complete'
+        if (changeInfo.title && !changeInfo.status && tab.url && this.isValidUrl(tab.url)) {
+            const tabHistory = this.tabHistories.get(tabId);
+            const currentEntry = tabHistory && this.getStackEntry(tabHistory, tabHistory.currentIndex);
+            if (currentEntry && currentEntry.url === url && currentEntry.title !== changeInfo.title) {
+                currentEntry.title = changeInfo.title;
+                await this.buildTreeForTab(tabId);
+                this.persistTab(tabId, [tabHistory.currentNodeId]);
+                this.broadcastEntryUpdated(tabId, tabHistory, tabHistory.currentNodeId);
+            }
+            return;
+        }
+
         if (changeInfo.status === 'complete' && tab.url && this.isValidUrl(tab.url)) {
-            console.log(`Tab ${tabId} updated: ${tab.url}`);
-            
-            // Get detailed history information from the content script
+            // Navigations are recorded by handleNavigationCommitted; here we only fill in
+            // what wasn't known at commit time (title, history info) or pick up untracked tabs
             const historyInfo = await this.getTabHistoryInfo(tabId);
-            await this.updateTabHistory(tabId, tab.url, tab.title, 'navigation', historyInfo);
+            const tabHistory = this.tabHistories.get(tabId);
+            const currentEntry = tabHistory && this.getStackEntry(tabHistory, tabHistory.currentIndex);
+
+            if (!currentEntry) {
+                await this.updateTabHistory(tabId, tab.url, tab.title, 'navigation', historyInfo);
+            } else if (currentEntry.url === url) {
+                this.updateHistoryEntry(currentEntry, tab.title, historyInfo);
+                await this.buildTreeForTab(tabId);
+                this.persistTab(tabId, [tabHistory.currentNodeId]);
+                this.broadcastEntryUpdated(tabId, tabHistory, tabHistory.currentNodeId);
+            }
+        }
+    }
+
+    async handleNavigationCommitted(details) {
+        // Subframe navigations don't touch the tab's session history
+        if (details.frameId !== 0 || !this.isValidUrl(details.url)) return;
+
+        const type = this.classifyTransition(details.transitionType, details.transitionQualifiers);
+        await this.recordNavigation(details, type);
+    }
+
+    async handleHistoryStateUpdated(details) {
+        if (details.frameId !== 0 || !this.isValidUrl(details.url)) return;
+
+        // webNavigation doesn't distinguish pushState from replaceState; history-hooks.js
+        // logs the calls in the page so we can look the kind up
+        let type = 'forward_back';
+        if (!details.transitionQualifiers.includes('forward_back')) {
+            const kind = await this.getHistoryStateChange(details.tabId, details.url);
+            type = kind === 'replaceState' ? 'replace_state' : 'push_state';
+        }
+        await this.recordNavigation(details, type);
+    }
+
+    async handleReferenceFragmentUpdated(details) {
+        if (details.frameId !== 0 || !this.isValidUrl(details.url)) return;
+
+        const type = details.transitionQualifiers.includes('forward_back') ? 'forward_back' : 'fragment';
+        await this.recordNavigation(details, type);
+    }
+
+    async recordNavigation(details, type) {
+        let title = null;
+        try {
+            const tab = await this.tracedCall('tabs.get', [details.tabId], () => chrome.tabs.get(details.tabId));
+            this.tabWindowIds.set(tab.id, tab.windowId);
+            // The tab may still report the previous page's title at commit time
+            if (tab.url === details.url) title = tab.title;
+        } catch (error) {
+            // Prerendered pages commit in tabs that don't exist yet
+            console.log(`Ignoring navigation in unknown tab ${details.tabId}`);
+            return;
+        }
+
+        // Set right before the history sees it, so reopenClosedTab can tell whether a
+        // commit landed before its pending navigation did
+        this.lastNavigatedUrls.set(details.tabId, details.url);
+        await this.updateTabHistory(details.tabId, details.url, title, type, {}, {
+            transitionType: details.transitionType,
+            transitionQualifiers: details.transitionQualifiers,
+            timestamp: details.timeStamp
+        });
+    }
+
+    async getHistoryStateChange(tabId, url) {
+        try {
+            const results = await this.tracedCall('takeHistoryStateChange', [tabId, url], () => chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                world: 'MAIN',
+                func: takeHistoryStateChange,
+                args: [url]
+            }));
+
+            if (results && results[0]) {
+                return results[0].result;
+            }
+        } catch (error) {
+            console.log(`Could not get history state change from tab ${tabId}:`, error);
         }
+
+        return null;
+    }
+
+    classifyTransition(transitionType, transitionQualifiers = []) {
+        if (transitionQualifiers.includes('forward_back')) return 'forward_back';
+        if (transitionQualifiers.includes('server_redirect') || transitionQualifiers.includes('client_redirect')) return 'redirect';
+
+        const types = {
+            'link': 'link',
+            'typed': 'typed',
+            'auto_bookmark': 'bookmark',
+            'form_submit': 'form_submit',
+            'reload': 'reload',
+            'generated': 'generated',
+            'keyword': 'keyword',
+            'keyword_generated': 'keyword',
+            'start_page': 'start_page',
+            'auto_toplevel': 'auto_toplevel'
+        };
+        return types[transitionType] || 'navigation';
     }
 
     async handleTabActivation(activeInfo) {
-        const tab = await chrome.tabs.get(activeInfo.tabId);
+        this.tabWindowIds.set(activeInfo.tabId, activeInfo.windowId);
+        this.updateDwell();
+        const { enabled, createNodesOnActivation } = this.settings.tracking;
+        if (!enabled || !createNodesOnActivation) return;
+
+        const tab = await this.tracedCall('tabs.get', [activeInfo.tabId], () => chrome.tabs.get(activeInfo.tabId));
         if (tab.url && this.isValidUrl(tab.url)) {
             const historyInfo = await this.getTabHistoryInfo(tab.id);
             await this.updateTabHistory(tab.id, tab.url, tab.title, 'activation', historyInfo);
         }
     }
 
+    // Dwell time
+
+    async loadDwellState() {
+        try {
+            const result = await chrome.storage.session.get([DWELL_STATE_KEY]);
+            this.dwell.segment = result[DWELL_STATE_KEY] || null;
+
+            chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+            this.dwell.idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+            const focusedWindow = await chrome.windows.getLastFocused();
+            this.dwell.windowId = focusedWindow && focusedWindow.focused ? focusedWindow.id : chrome.windows.WINDOW_ID_NONE;
+        } catch (error) {
+            console.error('Failed to load dwell state:', error);
+        }
+    }
+
+    saveDwellState() {
+        return chrome.storage.session.set({ [DWELL_STATE_KEY]: this.dwell.segment });
+    }
+
+    handleIdleStateChange(state) {
+        // 'idle' fires IDLE_DETECTION_SECONDS after the last input, and nobody was reading then
+        const endTime = state === 'idle' ? Date.now() - IDLE_DETECTION_SECONDS * 1000 : Date.now();
+        this.dwell.idleState = state;
+        this.updateDwell(endTime);
+    }
+
+    async updateDwell(endTime = Date.now()) {
+        // Work out which node is in front, then close the old segment if that changed
+        const { windowId, idleState } = this.dwell;
+        let tabId = null;
+        if (this.settings.tracking.enabled && idleState === 'active' && windowId !== chrome.windows.WINDOW_ID_NONE) {
+            try {
+                const [tab] = await chrome.tabs.query({ active: true, windowId: windowId });
+                if (tab && this.tabHistories.has(tab.id) && !this.isPaused(tab.id)) tabId = tab.id;
+            } catch (error) {
+                console.log(`Could not query the active tab of window ${windowId}:`, error);
+            }
+        }
+
+        const nodeId = tabId !== null ? this.tabHistories.get(tabId).currentNodeId : null;
+        const segment = this.dwell.segment;
+        if (segment && segment.tabId === tabId && segment.nodeId === nodeId) return;
+
+        if (segment) this.creditDwell(segment, endTime);
+        this.dwell.segment = tabId !== null ? { tabId: tabId, nodeId: nodeId, since: Date.now() } : null;
+        this.saveDwellState();
+    }
+
+    flushDwell() {
+        // Credit the open segment so far, e.g. before node ids change (views read it through withOpenDwell())
+        const segment = this.dwell.segment;
+        if (!segment) return;
+
+        const now = Date.now();
+        this.creditDwell(segment, now);
+        segment.since = now;
+        this.saveDwellState();
+    }
+
+    // The tab as views should see it: the open segment's time so far is added to its
+    // node without crediting it, since reading must not save or broadcast anything
+    withOpenDwell(tabId, tabHistory) {
+        const segment = this.dwell.segment;
+        if (!segment || segment.tabId !== tabId || !tabHistory.nodes || !tabHistory.nodes[segment.nodeId]) {
+            return tabHistory;
+        }
+        const duration = Date.now() - segment.since;
+        if (duration <= 0) return tabHistory;
+
+        const nodes = tabHistory.nodes.slice();
+        const node = nodes[segment.nodeId];
+        nodes[segment.nodeId] = { ...node, entry: { ...node.entry, dwellTime: (node.entry.dwellTime || 0) + duration } };
+        const withDwell = { ...tabHistory, nodes: nodes };
+        withDwell.tree = this.buildTree(withDwell);
+        return withDwell;
+    }
+
+    creditDwell(segment, endTime) {
+        const tabHistory = this.tabHistories.get(segment.tabId) || this.closedTabHistories.get(segment.tabId);
+        const node = tabHistory && tabHistory.nodes && tabHistory.nodes[segment.nodeId];
+        const duration = endTime - segment.since;
+        if (!node || duration <= 0) return;
+
+        node.entry.dwellTime = (node.entry.dwellTime || 0) + duration;
+        this.persistTab(segment.tabId, [segment.nodeId]);
+        this.broadcastEntryUpdated(segment.tabId, tabHistory, segment.nodeId);
+    }
+
+    async discardIfLastIncognitoWindow() {
+        const windows = await chrome.windows.getAll();
+        if (windows.some(window => window.incognito)) return;
+
+        const tabCount = this.tabHistories.size + this.closedTabHistories.size;
+        this.clearAllHistories();
+        console.log(`Last incognito window closed, discarded ${tabCount} tab histories`);
+    }
+
+    // Forgets every history, along with the in-flight state that points into them
+    clearAllHistories() {
+        this.tabHistories.clear();
+        this.closedTabHistories.clear();
+        this.tabCreationTimes.clear();
+        // A pending opener or replay would send the tab's next commit after nodes that are gone
+        this.pendingOpeners.clear();
+        this.pendingNavigations.clear();
+        this.store.clear();
+        this.dwell.segment = null; // its node is gone
+        this.saveDwellState();
+        this.broadcast({ type: 'historyCleared', scope: 'all' });
+    }
+
     handleTabClose(tabId) {
-        console.log(`Tab ${tabId} closed, preserving history...`);
+        this.tabWindowIds.delete(tabId);
+        this.lastNavigatedUrls.delete(tabId);
+        if (this.pauseState.tabIds.delete(tabId)) this.savePauseState();
         
         const tabHistory = this.tabHistories.get(tabId);
-        if (tabHistory) {
-            // Move to closed tab histories instead of deleting
-            this.closedTabHistories.set(tabId, {
-                ...tabHistory,
-                closedAt: Date.now(),
-                isClosed: true
-            });
-            
-            // Remove from active tabs
+        if (!tabHistory) return;
+
+        // The browser hands tab ids out again after a restart, so the history moves to an
+        // archive id of its own where a later tab with this id can't overwrite it
+        const closedTabId = this.getNextArchivedTabId();
+        // Move to closed tab histories instead of deleting
+        this.closedTabHistories.set(closedTabId, {
+            ...tabHistory,
+            creationTime: this.tabCreationTimes.get(tabId) || tabHistory.creationTime,
+            closedAt: Date.now(),
+            isClosed: true
+        });
+
+        // Remove from active tabs
+        this.tabHistories.delete(tabId);
+        this.tabCreationTimes.delete(tabId);
+        this.pendingOpeners.delete(tabId);
+        this.pendingNavigations.delete(tabId);
+        
+        this.store.deleteTab(tabId);
+        this.persistTab(closedTabId);
+        this.broadcast({
+            type: 'tabClosed',
+            tabId: tabId,
+            closedTabId: closedTabId,
+            closedAt: this.closedTabHistories.get(closedTabId).closedAt
+        });
+        this.rekeyTabReferences(new Map([[tabId, closedTabId]]));
+        this.updateDwell();
+    }
+
+    async reopenClosedTab(tabId) {
+        const tabHistory = this.closedTabHistories.get(tabId);
+        if (!tabHistory) {
+            return { success: false, error: 'Unknown closed tab' };
+        }
+        await this.loadClosedTabs([tabId]);
+
+        let tab = null;
+        let restoredFromSession = false;
+        try {
+            // The browser's own session restore brings back the real back/forward stack
+            const session = await this.findClosedSession(tabHistory);
+            if (session) {
+                const restored = await this.tracedCall('sessions.restore', [session.tab.sessionId],
+                    () => chrome.sessions.restore(session.tab.sessionId));
+                tab = restored.tab;
+                restoredFromSession = !!tab;
+            }
+            if (!tab) {
+                const createProperties = { url: this.getStackEntry(tabHistory, 0).url, active: true };
+                tab = await this.tracedCall('tabs.create', [createProperties], () => chrome.tabs.create(createProperties));
+            }
+        } catch (error) {
+            console.error(`Failed to reopen closed tab ${tabId}:`, error);
+            return { success: false, error: error.message };
+        }
+
+        // Move the history back under the new tab id so the tree continues
+        this.closedTabHistories.delete(tabId);
+        delete tabHistory.closedAt;
+        tabHistory.isClosed = false;
+        tabHistory.lastUpdated = Date.now();
+        this.tabCreationTimes.set(tab.id, tabHistory.creationTime || Date.now());
+        this.tabHistories.set(tab.id, tabHistory);
+        this.rekeyTabReferences(new Map([[tabId, tab.id]]));
+
+        // Whether the tab's first page already went through updateTabHistory; if it did,
+        // nothing else will arrive to swallow or to start the replay from
+        const firstUrl = this.getStackEntry(tabHistory, restoredFromSession ? tabHistory.currentIndex : 0).url;
+        const lastUrl = this.lastNavigatedUrls.get(tab.id);
+        const committed = lastUrl !== undefined && this.privacy.redactUrl(lastUrl) === firstUrl;
+
+        if (restoredFromSession) {
+            // Swallow the restored page's own commit
+            if (!committed) this.pendingNavigations.set(tab.id, { traversalIndex: null, replayNodeIds: [] });
+        } else {
+            // Forward entries can't be recreated; they stay in the tree as a branch
+            const replayNodeIds = tabHistory.stack.slice(1, tabHistory.currentIndex + 1);
+            tabHistory.stack = tabHistory.stack.slice(0, 1);
+            this.moveCursor(tabHistory, 0);
+            this.pendingNavigations.set(tab.id, { traversalIndex: null, replayNodeIds: replayNodeIds });
+            if (committed) await this.continueReplay(tab.id);
+        }
+
+        await this.buildTreeForTab(tab.id);
+        this.store.deleteTab(tabId);
+        this.persistTab(tab.id);
+        this.broadcast({ type: 'tabsRemoved', tabIds: [tabId], reason: 'reopened' });
+        this.broadcastTabUpdated(tab.id);
+        console.log(`Reopened closed tab ${tabId} as tab ${tab.id} (${restoredFromSession ? 'session restore' : 'replay'})`);
+        return { success: true, tabId: tab.id, mode: restoredFromSession ? 'session' : 'replay' };
+    }
+
+    async findClosedSession(tabHistory) {
+        const currentUrl = this.getStackEntry(tabHistory, tabHistory.currentIndex).url;
+        const sessions = await this.tracedCall('sessions.getRecentlyClosed', [], () => chrome.sessions.getRecentlyClosed());
+
+        // Sessions don't carry our tab ids; match on URL and the closest close time
+        let best = null;
+        for (const session of sessions) {
+            if (!session.tab || session.tab.url !== currentUrl) continue;
+            const distance = Math.abs(session.lastModified * 1000 - (tabHistory.closedAt || 0));
+            if (!best || distance < best.distance) {
+                best = { session: session, distance: distance };
+            }
+        }
+
+        return best && best.distance < 60 * 1000 ? best.session : null;
+    }
+
+    // tabIdMap: old tab id -> new tab id, applied in one pass so ids can swap places
+    rekeyTabReferences(tabIdMap) {
+        for (const [tabId, tabHistory] of [...this.tabHistories, ...this.closedTabHistories]) {
+            if (tabHistory.opener && tabIdMap.has(tabHistory.opener.tabId)) {
+                tabHistory.opener.tabId = tabIdMap.get(tabHistory.opener.tabId);
+                this.persistTab(tabId, []);
+                this.broadcastTabUpdated(tabId);
+            }
+        }
+        for (const opener of this.pendingOpeners.values()) {
+            if (tabIdMap.has(opener.tabId)) opener.tabId = tabIdMap.get(opener.tabId);
+        }
+        // The tab in front may just have closed; its time so far still goes to its node
+        const segment = this.dwell.segment;
+        if (segment && tabIdMap.has(segment.tabId)) {
+            segment.tabId = tabIdMap.get(segment.tabId);
+            this.saveDwellState();
+        }
+    }
+
+    // Restart reconciliation
+    //
+    // Persisted active histories are keyed by the tab ids of the session that wrote
+    // them. Within one browser session ids are stable, so a history whose tab is
+    // gone was closed while the worker wasn't listening. After a browser restart the
+    // restored tabs have new ids (and old ids may be reused by other tabs), so
+    // histories are matched to tabs by current URL, window/position and the length
+    // of the session history; the rest become closed tabs ended by the restart.
+    async reconcileRestoredTabs() {
+        let restarted = false;
+        let tabs = [];
+        try {
+            const result = await chrome.storage.session.get([SESSION_MARKER_KEY]);
+            restarted = !result[SESSION_MARKER_KEY];
+            await chrome.storage.session.set({ [SESSION_MARKER_KEY]: Date.now() });
+            tabs = await chrome.tabs.query({});
+        } catch (error) {
+            console.error('Could not reconcile restored tabs:', error);
+            return;
+        }
+        if (this.tabHistories.size === 0) return;
+
+        const liveTabs = new Map(tabs.map(tab => [tab.id, tab]));
+        const unmatched = [];
+        for (const [tabId, tabHistory] of this.tabHistories) {
+            const tab = liveTabs.get(tabId);
+            // After a restart an id match alone could be a different tab that reused the id
+            if (tab && (!restarted || this.isSamePage(tab, tabHistory))) {
+                liveTabs.delete(tabId);
+            } else {
+                unmatched.push([tabId, tabHistory]);
+            }
+        }
+        if (unmatched.length === 0) return;
+
+        const tabIdMap = restarted ? await this.matchRestoredTabs(unmatched, Array.from(liveTabs.values())) : new Map();
+
+        // Take every unmatched history out first, since new ids may equal old ones
+        for (const [tabId] of unmatched) {
             this.tabHistories.delete(tabId);
+            this.store.deleteTab(tabId);
+        }
+
+        let ended = 0;
+        for (const [tabId, tabHistory] of unmatched) {
+            const creationTime = this.tabCreationTimes.get(tabId) || tabHistory.creationTime;
             this.tabCreationTimes.delete(tabId);
-            
-            console.log(`Preserved history for closed tab ${tabId} with ${tabHistory.sessionHistory.length} entries`);
-        } else {
-            console.log(`No history found for closed tab ${tabId}`);
+
+            if (tabIdMap.has(tabId)) {
+                const newTabId = tabIdMap.get(tabId);
+                tabHistory.creationTime = creationTime;
+                this.tabHistories.set(newTabId, tabHistory);
+                if (creationTime) this.tabCreationTimes.set(newTabId, creationTime);
+                continue;
+            }
+
+            // Closed tabs get archive ids, like in handleTabClose()
+            const closedTabId = this.getNextArchivedTabId();
+            tabIdMap.set(tabId, closedTabId);
+            this.closedTabHistories.set(closedTabId, {
+                ...tabHistory,
+                creationTime: creationTime,
+                closedAt: tabHistory.lastUpdated || Date.now(),
+                isClosed: true,
+                endedByRestart: restarted
+            });
+            ended++;
         }
-        
-        this.saveToStorage();
+
+        this.rekeyTabReferences(tabIdMap);
+        for (const [tabId] of unmatched) {
+            this.persistTab(tabIdMap.get(tabId));
+        }
+        console.log(`Reconciled tab histories${restarted ? ' after a browser restart' : ''}: ` +
+            `${unmatched.length - ended} reattached, ${ended} closed`);
+    }
+
+    async matchRestoredTabs(histories, tabs) {
+        const windowMap = this.matchRestoredWindows(histories, tabs);
+
+        const pairs = [];
+        for (const [tabId, tabHistory] of histories) {
+            for (const tab of tabs) {
+                if (this.isSamePage(tab, tabHistory)) pairs.push({ tabId: tabId, tabHistory: tabHistory, tab: tab });
+            }
+        }
+
+        // The browser restores the whole back/forward list; read each candidate tab's once
+        const candidateTabIds = [...new Set(pairs.map(pair => pair.tab.id))];
+        const backLists = new Map(await Promise.all(
+            candidateTabIds.map(async tabId => [tabId, await this.getLiveBackList(tabId)])
+        ));
+
+        const candidates = [];
+        for (const { tabId, tabHistory, tab } of pairs) {
+            let score = 1;
+            const position = tabHistory.position;
+            if (position && windowMap.get(position.windowId) === tab.windowId) score++;
+            if (position && position.index === tab.index) score++;
+
+            const backList = backLists.get(tab.id);
+            if (backList) {
+                if (backList.length === tabHistory.stack.length) score++;
+                score += this.countMatchingTail(backList.urls, tabHistory);
+            }
+
+            candidates.push({ tabId: tabId, newTabId: tab.id, score: score });
+        }
+
+        // Best pairs first; each history and each tab is used once
+        candidates.sort((a, b) => b.score - a.score);
+        const tabIdMap = new Map();
+        const usedTabs = new Set();
+        for (const candidate of candidates) {
+            if (tabIdMap.has(candidate.tabId) || usedTabs.has(candidate.newTabId)) continue;
+            tabIdMap.set(candidate.tabId, candidate.newTabId);
+            usedTabs.add(candidate.newTabId);
+        }
+        return tabIdMap;
+    }
+
+    countMatchingTail(liveUrls, tabHistory) {
+        // Entries before the current one that agree, walking back until the first difference
+        let count = 0;
+        for (let i = 1; i < RESTORE_MATCH_DEPTH; i++) {
+            const liveUrl = liveUrls[liveUrls.length - 1 - i];
+            const entry = this.getStackEntry(tabHistory, tabHistory.currentIndex - i);
+            if (!liveUrl || !entry || this.privacy.redactUrl(liveUrl) !== entry.url) break;
+            count++;
+        }
+        return count;
+    }
+
+    async getLiveBackList(tabId) {
+        try {
+            const results = await this.tracedCall('getLiveBackList', [tabId], () => chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                world: 'MAIN',
+                func: getLiveBackList,
+                args: [RESTORE_MATCH_DEPTH]
+            }));
+
+            if (results && results[0] && results[0].result) {
+                return results[0].result;
+            }
+        } catch (error) {
+            console.log(`Could not get the back list of tab ${tabId}:`, error);
+        }
+
+        return null;
+    }
+
+    matchRestoredWindows(histories, tabs) {
+        // Window ids change too; pair old and new windows that share the most page URLs
+        const overlaps = new Map(); // "old:new" -> {oldWindowId, newWindowId, count}
+        for (const [, tabHistory] of histories) {
+            if (!tabHistory.position) continue;
+            for (const tab of tabs) {
+                if (!this.isSamePage(tab, tabHistory)) continue;
+                const key = `${tabHistory.position.windowId}:${tab.windowId}`;
+                if (!overlaps.has(key)) {
+                    overlaps.set(key, { oldWindowId: tabHistory.position.windowId, newWindowId: tab.windowId, count: 0 });
+                }
+                overlaps.get(key).count++;
+            }
+        }
+
+        const windowMap = new Map();
+        const usedWindows = new Set();
+        for (const overlap of Array.from(overlaps.values()).sort((a, b) => b.count - a.count)) {
+            if (windowMap.has(overlap.oldWindowId) || usedWindows.has(overlap.newWindowId)) continue;
+            windowMap.set(overlap.oldWindowId, overlap.newWindowId);
+            usedWindows.add(overlap.newWindowId);
+        }
+        return windowMap;
+    }
+
+    isSamePage(tab, tabHistory) {
+        const url = tab.url || tab.pendingUrl;
+        if (!url || !this.isValidUrl(url)) return false;
+        const entry = this.getStackEntry(tabHistory, tabHistory.currentIndex);
+        return !!entry && entry.url === this.privacy.redactUrl(url);
+    }
+
+    recordTabPosition(tabId, windowId, index) {
+        // Remembered so restored tabs can be told apart after a restart
+        const tabHistory = this.tabHistories.get(tabId);
+        if (!tabHistory || index === undefined) return;
+        if (tabHistory.position && tabHistory.position.windowId === windowId && tabHistory.position.index === index) return;
+
+        tabHistory.position = { windowId: windowId, index: index };
+        this.persistTab(tabId, []);
     }
 
     async getTabHistoryInfo(tabId) {
         try {
-            const results = await chrome.scripting.executeScript({
+            const results = await this.tracedCall('getTabHistoryInfo', [tabId], () => chrome.scripting.executeScript({
                 target: { tabId: tabId },
                 func: getTabHistoryInfo,
-            });
+            }));
             
             if (results && results[0] && results[0].result) {
                 return results[0].result;
@@ -150,177 +948,322 @@ class TabHistoryTracker {
         };
     }
 
-    async updateTabHistory(tabId, url, title, type, historyInfo) {
+    async updateTabHistory(tabId, url, title, type, historyInfo, transition = {}) {
+        const { enabled, createNodesOnNavigation } = this.settings.tracking;
+        if (!enabled) return;
+        // With navigation nodes off, a tab only grows when it is activated
+        if (!createNodesOnNavigation && type !== 'activation' && this.tabHistories.has(tabId)) return;
+
+        // Paused tabs only remember that something was missed, so the gap can be shown later
+        if (this.isPaused(tabId)) {
+            const pausedHistory = this.tabHistories.get(tabId);
+            if (pausedHistory && type !== 'activation') {
+                pausedHistory.missedNavigations = (pausedHistory.missedNavigations || 0) + 1;
+                this.persistTab(tabId, []);
+            }
+            return;
+        }
+
+        // Privacy rules apply before anything about the page is kept
+        if (!this.privacy.isAllowed(url)) return;
+        url = this.privacy.redactUrl(url);
+
         let tabHistory = this.tabHistories.get(tabId);
+        // What views already have, so only the difference is broadcast
+        const before = tabHistory ? { nodeCount: tabHistory.nodes.length, currentNodeId: tabHistory.currentNodeId } : null;
         
         // If no history exists for this tab, initialize it
         if (!tabHistory) {
             const creationTime = this.tabCreationTimes.get(tabId) || Date.now();
-            const initialEntry = this.createHistoryEntry(url, title, 'initial', creationTime);
-            
-            tabHistory = {
-                sessionHistory: [initialEntry],
-                currentIndex: 0,
-                tree: this.createTreeNode(initialEntry, 0, true),
-                lastUpdated: Date.now(),
-                isClosed: false
-            };
+            tabHistory = this.createTabHistory(tabId, url, title, creationTime, transition);
             this.tabHistories.set(tabId, tabHistory);
-            console.log(`Created new history for tab ${tabId} with URL: ${url}`);
         }
 
-        const { historyLength, canGoBack, canGoForward } = historyInfo;
-        
-        console.log(`Tab ${tabId} history: length=${historyLength}, back=${canGoBack}, forward=${canGoForward}, currentURL=${url}`);
-
-        // Check if this is a back/forward navigation
-        const isBackNavigation = this.detectBackNavigation(tabId, url, historyInfo);
-        const isForwardNavigation = this.detectForwardNavigation(tabId, url, historyInfo);
-
-        if (isBackNavigation) {
-            this.handleBackNavigation(tabId, url, title);
-        } else if (isForwardNavigation) {
-            this.handleForwardNavigation(tabId, url, title);
+        if (this.applyPendingNavigation(tabId, url, type)) {
+            // Navigation we started from the popup; only the cursor moved
+        } else if (type === 'forward_back') {
+            this.handleHistoryTraversal(tabId, url, title, historyInfo, transition);
+        } else if (type === 'reload') {
+            this.handleReload(tabId, url, title, historyInfo, transition);
+        } else if (type === 'replace_state') {
+            this.handleReplaceState(tabId, url, title);
         } else {
-            this.handleNewNavigation(tabId, url, title, type, historyInfo);
+            this.handleNewNavigation(tabId, url, title, type, historyInfo, transition);
         }
 
+        delete tabHistory.missedNavigations;
         tabHistory.lastUpdated = Date.now();
-        await this.buildTreeFromSessionHistory(tabId);
-        await this.saveToStorage();
+        await this.buildTreeForTab(tabId);
+        // New nodes, title and reload changes all land on the current node
+        this.persistTab(tabId, [tabHistory.currentNodeId]);
+        if (before) {
+            this.broadcastNavigation(tabId, tabHistory, before);
+        } else {
+            this.broadcastTabUpdated(tabId);
+        }
+        this.updateDwell();
+        await this.continueReplay(tabId);
     }
 
-    detectBackNavigation(tabId, newUrl, historyInfo) {
+    async navigateToNode(tabId, nodeId) {
         const tabHistory = this.tabHistories.get(tabId);
-        if (!tabHistory || tabHistory.sessionHistory.length < 2) return false;
+        if (!tabHistory || !tabHistory.nodes[nodeId]) {
+            return { success: false, error: 'Unknown tab or node' };
+        }
+
+        // Walk from the node up to the root; the stack is always a root path, so the
+        // shared prefix tells us how far to go back before replaying the rest
+        const path = [];
+        for (let id = nodeId; id !== null; id = tabHistory.nodes[id].parentId) {
+            path.unshift(id);
+        }
+        let sharedLength = 0;
+        while (sharedLength < path.length && tabHistory.stack[sharedLength] === path[sharedLength]) {
+            sharedLength++;
+        }
+        if (sharedLength === 0) {
+            return { success: false, error: 'Node is not reachable from this tab\'s history' };
+        }
+
+        const traversalIndex = sharedLength - 1;
+        const replayNodeIds = path.slice(sharedLength);
+        const delta = traversalIndex - tabHistory.currentIndex;
+
+        try {
+            await this.tracedCall('tabs.update', [tabId, { active: true }], () => chrome.tabs.update(tabId, { active: true }));
+        } catch (error) {
+            // The tab was closed after the view last heard from us, for one
+            console.error(`Failed to activate tab ${tabId}:`, error);
+            return { success: false, error: error.message };
+        }
+
+        if (delta === 0 && replayNodeIds.length === 0) {
+            return { success: true, mode: 'none' };
+        }
+
+        this.pendingNavigations.set(tabId, {
+            traversalIndex: delta !== 0 ? traversalIndex : null,
+            replayNodeIds: replayNodeIds
+        });
+        console.log(`Navigating tab ${tabId} to node ${nodeId}: go(${delta}), then replay ${replayNodeIds.length} node(s)`);
 
-        // Check if we're going back to a previous URL in session history
-        const currentIndex = tabHistory.currentIndex;
-        if (currentIndex > 0) {
-            const previousEntry = tabHistory.sessionHistory[currentIndex - 1];
-            const isBack = previousEntry.url === newUrl && historyInfo.canGoBack;
-            if (isBack) {
-                console.log(`Detected back navigation from ${tabHistory.sessionHistory[currentIndex].url} to ${newUrl}`);
+        try {
+            if (delta !== 0) {
+                await this.tracedCall('goInHistory', [tabId, delta], () => chrome.scripting.executeScript({
+                    target: { tabId: tabId },
+                    func: goInHistory,
+                    args: [delta]
+                }));
+            } else {
+                await this.continueReplay(tabId);
             }
-            return isBack;
+        } catch (error) {
+            this.pendingNavigations.delete(tabId);
+            console.error(`Failed to navigate tab ${tabId}:`, error);
+            return { success: false, error: error.message };
         }
-        return false;
+
+        return { success: true, mode: replayNodeIds.length > 0 ? 'replay' : 'traverse' };
     }
 
-    detectForwardNavigation(tabId, newUrl, historyInfo) {
+    applyPendingNavigation(tabId, url, type) {
+        const pending = this.pendingNavigations.get(tabId);
         const tabHistory = this.tabHistories.get(tabId);
-        if (!tabHistory || tabHistory.currentIndex >= tabHistory.sessionHistory.length - 1) return false;
+        if (!pending || !tabHistory) return false;
+
+        // A reopened tab first loads the page its cursor is already on
+        if (pending.traversalIndex === null && this.getStackEntry(tabHistory, tabHistory.currentIndex).url === url) {
+            return true;
+        }
 
-        // Check if we're going forward to a URL that's already in our session history
-        const currentIndex = tabHistory.currentIndex;
-        if (currentIndex < tabHistory.sessionHistory.length - 1) {
-            const nextEntry = tabHistory.sessionHistory[currentIndex + 1];
-            const isForward = nextEntry.url === newUrl && historyInfo.canGoForward;
-            if (isForward) {
-                console.log(`Detected forward navigation from ${tabHistory.sessionHistory[currentIndex].url} to ${newUrl}`);
+        if (pending.traversalIndex !== null) {
+            if (type === 'forward_back' && this.getStackEntry(tabHistory, pending.traversalIndex).url === url) {
+                this.traverseTo(tabHistory, pending.traversalIndex);
+                pending.traversalIndex = null;
+                return true;
+            }
+        } else if (pending.replayNodeIds.length > 0 && type !== 'forward_back') {
+            const nodeId = pending.replayNodeIds[0];
+            if (tabHistory.nodes[nodeId].entry.url === url) {
+                // Re-enter the existing node instead of creating a new branch
+                tabHistory.stack = tabHistory.stack.slice(0, tabHistory.currentIndex + 1);
+                tabHistory.stack.push(nodeId);
+                this.moveCursor(tabHistory, tabHistory.stack.length - 1);
+                pending.replayNodeIds.shift();
+                return true;
             }
-            return isForward;
         }
+
+        // Something else navigated the tab (or a redirect changed the URL); give up
+        console.log(`Tab ${tabId} left the requested path, abandoning navigation`);
+        this.pendingNavigations.delete(tabId);
         return false;
     }
 
-    handleBackNavigation(tabId, url, title) {
-        const tabHistory = this.tabHistories.get(tabId);
-        if (!tabHistory) return;
+    async continueReplay(tabId) {
+        const pending = this.pendingNavigations.get(tabId);
+        if (!pending || pending.traversalIndex !== null) return;
 
-        tabHistory.currentIndex = Math.max(0, tabHistory.currentIndex - 1);
-        console.log(`Back navigation to: ${url}, new index: ${tabHistory.currentIndex}`);
-    }
+        if (pending.replayNodeIds.length === 0) {
+            this.pendingNavigations.delete(tabId);
+            return;
+        }
 
-    handleForwardNavigation(tabId, url, title) {
         const tabHistory = this.tabHistories.get(tabId);
-        if (!tabHistory) return;
-
-        tabHistory.currentIndex = Math.min(
-            tabHistory.sessionHistory.length - 1, 
-            tabHistory.currentIndex + 1
-        );
-        console.log(`Forward navigation to: ${url}, new index: ${tabHistory.currentIndex}`);
+        const nextEntry = tabHistory.nodes[pending.replayNodeIds[0]].entry;
+        try {
+            await this.tracedCall('tabs.update', [tabId, { url: nextEntry.url }], () => chrome.tabs.update(tabId, { url: nextEntry.url }));
+        } catch (error) {
+            this.pendingNavigations.delete(tabId);
+            console.error(`Failed to replay ${nextEntry.url} in tab ${tabId}:`, error);
+        }
     }
 
-    handleNewNavigation(tabId, url, title, type, historyInfo) {
+    handleHistoryTraversal(tabId, url, title, historyInfo, transition) {
         const tabHistory = this.tabHistories.get(tabId);
         if (!tabHistory) return;
 
-        // Check if this is the same as current URL (refresh)
-        const currentEntry = tabHistory.sessionHistory[tabHistory.currentIndex];
-        if (currentEntry && currentEntry.url === url) {
-            console.log(`Same URL navigation (refresh): ${url}`);
-            return; // Don't add duplicate entries for refreshes
-        }
-
-        // If we're not at the end of history, remove forward history
-        if (tabHistory.currentIndex < tabHistory.sessionHistory.length - 1) {
-            console.log(`Truncating forward history from index ${tabHistory.currentIndex + 1}`);
-            tabHistory.sessionHistory = tabHistory.sessionHistory.slice(0, tabHistory.currentIndex + 1);
+        // The browser doesn't say which way or how far we went (history.go(-2) is one
+        // commit), so move the cursor to the closest stack entry with this URL
+        const targetIndex = this.findNearestStackIndex(tabHistory, url);
+        if (targetIndex === -1) {
+            // The stack predates tracking (e.g. restored tab); keep the page as a new node
+            this.handleNewNavigation(tabId, url, title, 'forward_back', historyInfo, transition);
+            return;
         }
 
-        // Add new entry with current timestamp for new navigations
-        const newEntry = this.createHistoryEntry(url, title, type, Date.now(), historyInfo);
-        tabHistory.sessionHistory.push(newEntry);
-        tabHistory.currentIndex = tabHistory.sessionHistory.length - 1;
+        this.traverseTo(tabHistory, targetIndex);
+    }
 
-        console.log(`New navigation: ${url}, history length: ${tabHistory.sessionHistory.length}`);
+    // Moves the cursor for a back/forward commit and notes on the node it reached which
+    // way the tab went, so every move stays visible rather than just the latest
+    traverseTo(tabHistory, index) {
+        const entry = this.getStackEntry(tabHistory, index);
+        const arrivals = entry.arrivals || [];
+        arrivals.push({ direction: index < tabHistory.currentIndex ? 'back' : 'forward', at: Date.now() });
+        entry.arrivals = arrivals.slice(-MAX_NODE_ARRIVALS);
+        this.moveCursor(tabHistory, index);
     }
 
-    async buildTreeFromSessionHistory(tabId) {
+    handleReload(tabId, url, title, historyInfo, transition) {
         const tabHistory = this.tabHistories.get(tabId);
-        if (!tabHistory || tabHistory.sessionHistory.length === 0) {
-            console.log(`No session history for tab ${tabId}`);
+        if (!tabHistory) return;
+
+        const currentEntry = this.getStackEntry(tabHistory, tabHistory.currentIndex);
+        if (!currentEntry || currentEntry.url !== url) {
+            this.handleNewNavigation(tabId, url, title, 'reload', historyInfo, transition);
             return;
         }
 
-        console.log(`Building tree for tab ${tabId} with ${tabHistory.sessionHistory.length} entries`);
+        currentEntry.reloadCount = (currentEntry.reloadCount || 0) + 1;
 
-        // Start with root node
-        const rootEntry = tabHistory.sessionHistory[0];
-        const root = this.createTreeNode(rootEntry, 0, tabHistory.currentIndex === 0);
+        // Refreshes only become nodes of their own when asked for
+        if (this.settings.tracking.recordReloads) {
+            this.appendNode(tabHistory, url, title, 'reload', historyInfo, transition);
+        }
+    }
 
-        let currentBranch = [root];
+    handleReplaceState(tabId, url, title) {
+        const tabHistory = this.tabHistories.get(tabId);
+        if (!tabHistory) return;
 
-        // Process each subsequent entry in session history
-        for (let i = 1; i < tabHistory.sessionHistory.length; i++) {
-            const entry = tabHistory.sessionHistory[i];
-            const isCurrent = (i === tabHistory.currentIndex);
-            
-            console.log(`Processing entry ${i}: ${entry.url}, current: ${isCurrent}`);
+        // replaceState rewrites the current session history entry instead of adding one
+        const currentEntry = this.getStackEntry(tabHistory, tabHistory.currentIndex);
+        if (currentEntry.url !== url) {
+            currentEntry.url = url;
+            currentEntry.replaceCount = (currentEntry.replaceCount || 0) + 1;
+        }
+        if (title) currentEntry.title = title;
+    }
 
-            // Check if this URL already exists in the current branch (back navigation)
-            const existingIndex = currentBranch.findIndex(node => 
-                node.entry.url === entry.url
-            );
+    findNearestStackIndex(tabHistory, url) {
+        let nearest = -1;
+        tabHistory.stack.forEach((nodeId, index) => {
+            if (index === tabHistory.currentIndex || tabHistory.nodes[nodeId].entry.url !== url) return;
+            if (nearest === -1 || Math.abs(index - tabHistory.currentIndex) < Math.abs(nearest - tabHistory.currentIndex)) {
+                nearest = index;
+            }
+        });
+        return nearest;
+    }
 
-            if (existingIndex !== -1) {
-                // Back navigation - truncate branch to the existing node
-                console.log(`Back navigation detected to existing node at index ${existingIndex}`);
-                currentBranch = currentBranch.slice(0, existingIndex + 1);
-                
-                // Update current flags
-                currentBranch.forEach((node, idx) => {
-                    node.isCurrent = (idx === existingIndex && isCurrent);
-                });
+    handleNewNavigation(tabId, url, title, type, historyInfo, transition = {}) {
+        const tabHistory = this.tabHistories.get(tabId);
+        if (!tabHistory) return;
+
+        // Check if this is the same as current URL (e.g. activation of a tracked tab)
+        const currentEntry = this.getStackEntry(tabHistory, tabHistory.currentIndex);
+        if (currentEntry && currentEntry.url === url) return;
+
+        this.appendNode(tabHistory, url, title, type, historyInfo, transition);
+    }
+
+    appendNode(tabHistory, url, title, type, historyInfo, transition = {}) {
+        // The new node becomes a child of the current one. Forward nodes are dropped
+        // from the browser stack only; they stay in the tree as an abandoned branch.
+        const newEntry = this.createHistoryEntry(url, title, type, transition.timestamp || Date.now(), historyInfo, transition);
+        if (tabHistory.missedNavigations) {
+            // Navigations skipped while paused happened between the current node and this one
+            newEntry.missedNavigations = tabHistory.missedNavigations;
+        }
+        const newNode = this.createHistoryNode(tabHistory.nodes.length, tabHistory.currentNodeId, newEntry);
+        tabHistory.nodes.push(newNode);
+
+        tabHistory.stack = tabHistory.stack.slice(0, tabHistory.currentIndex + 1);
+        tabHistory.stack.push(newNode.id);
+        this.moveCursor(tabHistory, tabHistory.stack.length - 1);
+    }
+
+    moveCursor(tabHistory, index) {
+        tabHistory.currentIndex = Math.max(0, Math.min(tabHistory.stack.length - 1, index));
+        tabHistory.currentNodeId = tabHistory.stack[tabHistory.currentIndex];
+    }
+
+    getStackEntry(tabHistory, index) {
+        const node = tabHistory.nodes[tabHistory.stack[index]];
+        return node ? node.entry : null;
+    }
+
+    getSessionHistory(tabHistory) {
+        return tabHistory.stack
+            .filter(nodeId => tabHistory.nodes[nodeId])
+            .map(nodeId => tabHistory.nodes[nodeId].entry);
+    }
+
+    async buildTreeForTab(tabId) {
+        const tabHistory = this.tabHistories.get(tabId);
+        if (!tabHistory || !tabHistory.nodes || tabHistory.nodes.length === 0) return;
+
+        tabHistory.tree = this.buildTree(tabHistory);
+    }
+
+    buildTree(tabHistory) {
+        if (tabHistory.nodes.length === 0) return null;
+
+        // Collect the root-to-cursor path so it can be highlighted
+        const currentPath = new Set();
+        for (let nodeId = tabHistory.currentNodeId; nodeId !== null; nodeId = tabHistory.nodes[nodeId].parentId) {
+            currentPath.add(nodeId);
+        }
+
+        // Nodes are appended in navigation order, so a parent always precedes its children
+        const treeNodes = [];
+        let root = null;
+        for (const node of tabHistory.nodes) {
+            const parent = node.parentId === null ? null : treeNodes[node.parentId];
+            const treeNode = this.createTreeNode(node.entry, parent ? parent.level + 1 : 0, node.id === tabHistory.currentNodeId);
+            treeNode.id = node.id;
+            treeNode.isOnCurrentPath = currentPath.has(node.id);
+            treeNodes[node.id] = treeNode;
+
+            if (parent) {
+                parent.children.push(treeNode);
             } else {
-                // New forward navigation - add as child of the last node in current branch
-                const parentNode = currentBranch[currentBranch.length - 1];
-                const newNode = this.createTreeNode(entry, currentBranch.length, isCurrent);
-                
-                if (!parentNode.children) {
-                    parentNode.children = [];
-                }
-                
-                parentNode.children.push(newNode);
-                currentBranch.push(newNode);
-                console.log(`Added new node as child of ${parentNode.entry.url}`);
+                root = treeNode;
             }
         }
 
-        tabHistory.tree = root;
-        console.log(`Tree built successfully for tab ${tabId}`);
+        return root;
     }
 
     createTreeNode(entry, level, isCurrent = false) {
@@ -332,17 +1275,164 @@ class TabHistoryTracker {
         };
     }
 
-    createHistoryEntry(url, title, type, timestamp, historyInfo = {}) {
+    createHistoryNode(id, parentId, entry) {
+        return {
+            id: id,
+            parentId: parentId,
+            entry: entry
+        };
+    }
+
+    createHistoryEntry(url, title, type, timestamp, historyInfo = {}, transition = {}) {
         return {
             url: url,
             title: title || this.getDomainFromUrl(url),
             timestamp: timestamp || Date.now(),
             type: type,
+            transitionType: transition.transitionType || null,
+            transitionQualifiers: transition.transitionQualifiers || [],
             historyLength: historyInfo.historyLength || 1,
             canGoBack: historyInfo.canGoBack || false,
             canGoForward: historyInfo.canGoForward || false,
-            state: historyInfo.currentState || null
+            state: this.privacy.redactState(historyInfo.currentState || null)
+        };
+    }
+
+    updateHistoryEntry(entry, title, historyInfo = {}) {
+        if (title) entry.title = title;
+        if (historyInfo.historyLength) entry.historyLength = historyInfo.historyLength;
+        entry.canGoBack = historyInfo.canGoBack || false;
+        entry.canGoForward = historyInfo.canGoForward || false;
+        entry.state = this.privacy.redactState(historyInfo.currentState || null);
+    }
+
+    async importHistory(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.tabTrees)) {
+            return { success: false, error: 'Not a Tab History Tree export file' };
+        }
+        if (!SUPPORTED_EXPORT_VERSIONS.includes(data.version)) {
+            return { success: false, error: `Unsupported export version: ${data.version}` };
+        }
+
+        await this.loadClosedTabs();
+        const knownFingerprints = new Set(
+            [...this.tabHistories.values(), ...this.closedTabHistories.values()]
+                .map(tabHistory => this.getHistoryFingerprint(tabHistory))
+        );
+        const report = { success: true, added: 0, skipped: 0, rejected: [] };
+        const importedIds = new Map(); // exported tabId -> archived tabId
+        const nodeIdMaps = new Map(); // archived tabId -> node ids renumbered by privacy rules
+        const imported = [];
+
+        data.tabTrees.forEach((tabTree, index) => {
+            const tabHistory = this.createHistoryFromExport(tabTree);
+            if (!tabHistory) {
+                report.rejected.push({ index: index, tabId: tabTree && tabTree.tabId, reason: 'Missing or invalid tree' });
+                return;
+            }
+
+            const fingerprint = this.getHistoryFingerprint(tabHistory);
+            if (knownFingerprints.has(fingerprint)) {
+                report.skipped++;
+                return;
+            }
+            knownFingerprints.add(fingerprint);
+
+            // Exports from before the current privacy rules may hold pages they exclude
+            const privacyResult = this.applyPrivacyRulesToTab(tabHistory);
+            if (tabHistory.nodes.length === 0) {
+                report.rejected.push({ index: index, tabId: tabTree.tabId, reason: 'Excluded by privacy rules' });
+                return;
+            }
+
+            // Imported tabs get negative ids so they can never clash with live tab ids
+            const archivedTabId = this.getNextArchivedTabId();
+            this.closedTabHistories.set(archivedTabId, tabHistory);
+            imported.push([archivedTabId, tabHistory]);
+            importedIds.set(tabTree.tabId, archivedTabId);
+            if (privacyResult) nodeIdMaps.set(archivedTabId, privacyResult.nodeIdMap);
+            report.added++;
+        });
+
+        // Openers only survive if the opener tab came along in the same file
+        for (const [archivedTabId, tabHistory] of imported) {
+            if (tabHistory.opener && importedIds.has(tabHistory.opener.tabId)) {
+                tabHistory.opener.tabId = importedIds.get(tabHistory.opener.tabId);
+                const nodeIdMap = nodeIdMaps.get(tabHistory.opener.tabId);
+                const nodeId = nodeIdMap && nodeIdMap.get(tabHistory.opener.nodeId);
+                if (nodeIdMap && (nodeId === null || nodeId === undefined)) {
+                    tabHistory.opener = null;
+                } else if (nodeIdMap) {
+                    tabHistory.opener.nodeId = nodeId;
+                    tabHistory.opener.url = this.closedTabHistories.get(tabHistory.opener.tabId).nodes[nodeId].entry.url;
+                }
+            } else {
+                tabHistory.opener = null;
+            }
+            this.persistTab(archivedTabId);
+            this.broadcastTabUpdated(archivedTabId);
+        }
+
+        console.log(`Imported history: ${report.added} added, ${report.skipped} skipped, ${report.rejected.length} rejected`);
+        return report;
+    }
+
+    createHistoryFromExport(tabTree) {
+        if (!tabTree || typeof tabTree !== 'object' || !this.isValidTreeNode(tabTree.tree)) return null;
+
+        // Flatten the exported tree depth-first so parents keep preceding their children
+        const nodes = [];
+        let currentNodeId = 0;
+        const flatten = (treeNode, parentId) => {
+            const node = this.createHistoryNode(nodes.length, parentId, { ...treeNode.entry });
+            nodes.push(node);
+            if (treeNode.isCurrent) currentNodeId = node.id;
+            (treeNode.children || []).forEach(child => flatten(child, node.id));
         };
+        flatten(tabTree.tree, null);
+
+        // Only the path to the current node is known for sure; that becomes the stack
+        const stack = [];
+        for (let id = currentNodeId; id !== null; id = nodes[id].parentId) {
+            stack.unshift(id);
+        }
+
+        const tabHistory = {
+            nodes: nodes,
+            stack: stack,
+            currentIndex: stack.length - 1,
+            currentNodeId: currentNodeId,
+            tree: null,
+            lastUpdated: tabTree.lastUpdated || Date.now(),
+            creationTime: tabTree.creationTime || nodes[0].entry.timestamp,
+            opener: tabTree.opener ? { ...tabTree.opener } : null,
+            closedAt: tabTree.closedAt || tabTree.lastUpdated || Date.now(),
+            importedAt: Date.now(),
+            isClosed: true
+        };
+        tabHistory.tree = this.buildTree(tabHistory);
+        return tabHistory;
+    }
+
+    isValidTreeNode(treeNode) {
+        if (!treeNode || typeof treeNode !== 'object' || !treeNode.entry) return false;
+        if (typeof treeNode.entry.url !== 'string' || !this.isValidUrl(treeNode.entry.url)) return false;
+        if (treeNode.children !== undefined && !Array.isArray(treeNode.children)) return false;
+        return (treeNode.children || []).every(child => this.isValidTreeNode(child));
+    }
+
+    getHistoryFingerprint(tabHistory) {
+        // The root page and the moment it was first opened identify a tab across exports
+        const rootEntry = tabHistory.nodes && tabHistory.nodes[0] ? tabHistory.nodes[0].entry : {};
+        return `${rootEntry.url}|${rootEntry.timestamp}`;
+    }
+
+    getNextArchivedTabId() {
+        let minId = 0;
+        for (const tabId of this.closedTabHistories.keys()) {
+            minId = Math.min(minId, tabId);
+        }
+        return minId - 1;
     }
 
     getDomainFromUrl(url) {
@@ -359,82 +1449,277 @@ class TabHistoryTracker {
         
         // Add active tabs
         for (const [tabId, tabHistory] of this.tabHistories) {
-            console.log(`Processing active tab ${tabId}:`, {
-                hasTree: !!tabHistory.tree,
-                sessionLength: tabHistory.sessionHistory?.length,
-                currentIndex: tabHistory.currentIndex
-            });
-
-            const treeData = {
-                tabId: tabId,
-                tree: tabHistory.tree,
-                sessionHistory: tabHistory.sessionHistory || [],
-                currentIndex: tabHistory.currentIndex || 0,
-                lastUpdated: tabHistory.lastUpdated,
-                creationTime: this.tabCreationTimes.get(tabId) || tabHistory.lastUpdated,
-                isClosed: false,
-                isActive: true
-            };
-
-            trees.push(treeData);
+            trees.push(this.getActiveTabTree(tabId, this.withOpenDwell(tabId, tabHistory)));
         }
 
         // Add closed tabs
         for (const [tabId, tabHistory] of this.closedTabHistories) {
-            console.log(`Processing closed tab ${tabId}:`, {
-                hasTree: !!tabHistory.tree,
-                sessionLength: tabHistory.sessionHistory?.length,
-                currentIndex: tabHistory.currentIndex
-            });
-
-            const treeData = {
-                tabId: tabId,
-                tree: tabHistory.tree,
-                sessionHistory: tabHistory.sessionHistory || [],
-                currentIndex: tabHistory.currentIndex || 0,
-                lastUpdated: tabHistory.lastUpdated,
-                creationTime: this.tabCreationTimes.get(tabId) || tabHistory.lastUpdated,
-                isClosed: true,
-                closedAt: tabHistory.closedAt,
-                isActive: false
-            };
-
-            trees.push(treeData);
+            trees.push(this.getClosedTabTree(tabId, this.withOpenDwell(tabId, tabHistory)));
         }
 
         // Sort by last updated (most recent first)
         trees.sort((a, b) => b.lastUpdated - a.lastUpdated);
-        
-        console.log(`Returning ${trees.length} tab trees (${this.tabHistories.size} active, ${this.closedTabHistories.size} closed)`);
         return trees;
     }
 
+    // What the popup lists for a tab before it is expanded: everything but the tree.
+    // Closed tabs are summarized from their stored record, without loading their nodes.
+    async getTabSummaries(tabIds = null) {
+        const wanted = (tabId) => tabIds === null || tabIds.includes(tabId);
+        // Records saved before summaries existed need their nodes once
+        const unsummarized = Array.from(this.closedTabHistories.entries())
+            .filter(([tabId, tabHistory]) => wanted(tabId) && !tabHistory.nodes && !tabHistory.summary)
+            .map(([tabId]) => tabId);
+        if (unsummarized.length > 0) {
+            await this.loadClosedTabs(unsummarized);
+            unsummarized.forEach(tabId => this.persistTab(tabId, []));
+        }
+
+        const summaries = [];
+        for (const [tabId, tabHistory] of this.tabHistories) {
+            if (wanted(tabId)) summaries.push(this.getTabSummary(tabId, this.withOpenDwell(tabId, tabHistory), false));
+        }
+        for (const [tabId, tabHistory] of this.closedTabHistories) {
+            if (wanted(tabId)) summaries.push(this.getTabSummary(tabId, this.withOpenDwell(tabId, tabHistory), true));
+        }
+        summaries.sort((a, b) => b.lastUpdated - a.lastUpdated);
+        return summaries;
+    }
+
+    getTabSummary(tabId, tabHistory, isClosed) {
+        const summary = {
+            tabId: tabId,
+            ...(tabHistory.nodes ? this.summarizeNodes(tabHistory) : tabHistory.summary),
+            nodeCount: this.getNodeCount(tabHistory),
+            sessionLength: tabHistory.stack.length,
+            currentIndex: tabHistory.currentIndex || 0,
+            lastUpdated: tabHistory.lastUpdated,
+            creationTime: (!isClosed && this.tabCreationTimes.get(tabId)) || tabHistory.creationTime || tabHistory.lastUpdated,
+            opener: tabHistory.opener || null,
+            isClosed: isClosed,
+            isActive: !isClosed
+        };
+        if (isClosed) {
+            summary.closedAt = tabHistory.closedAt;
+            summary.importedAt = tabHistory.importedAt || null;
+            summary.endedByRestart = !!tabHistory.endedByRestart;
+            summary.pinned = !!tabHistory.pinned;
+        } else {
+            summary.pauseReason = this.getPauseReason(tabId);
+        }
+        return summary;
+    }
+
+    // Kept on the tab record by persistTab(), so it's there for closed tabs whose nodes aren't loaded
+    summarizeNodes(tabHistory) {
+        const current = tabHistory.nodes[tabHistory.currentNodeId] || tabHistory.nodes[tabHistory.nodes.length - 1];
+        return {
+            url: current ? current.entry.url : null,
+            title: current ? current.entry.title || null : null,
+            dwellTime: tabHistory.nodes.reduce((sum, node) => sum + (node.entry.dwellTime || 0), 0)
+        };
+    }
+
+    getActiveTabTree(tabId, tabHistory) {
+        return {
+            tabId: tabId,
+            tree: tabHistory.tree,
+            stack: tabHistory.stack,
+            sessionHistory: this.getSessionHistory(tabHistory),
+            nodeCount: tabHistory.nodes.length,
+            currentIndex: tabHistory.currentIndex || 0,
+            lastUpdated: tabHistory.lastUpdated,
+            creationTime: this.tabCreationTimes.get(tabId) || tabHistory.lastUpdated,
+            opener: tabHistory.opener || null,
+            pauseReason: this.getPauseReason(tabId),
+            isClosed: false,
+            isActive: true
+        };
+    }
+
+    getClosedTabTree(tabId, tabHistory) {
+        return {
+            tabId: tabId,
+            tree: tabHistory.tree,
+            stack: tabHistory.stack,
+            sessionHistory: this.getSessionHistory(tabHistory),
+            nodeCount: tabHistory.nodes.length,
+            currentIndex: tabHistory.currentIndex || 0,
+            lastUpdated: tabHistory.lastUpdated,
+            creationTime: tabHistory.creationTime || tabHistory.lastUpdated,
+            opener: tabHistory.opener || null,
+            isClosed: true,
+            closedAt: tabHistory.closedAt,
+            importedAt: tabHistory.importedAt || null,
+            endedByRestart: !!tabHistory.endedByRestart,
+            pinned: !!tabHistory.pinned,
+            isActive: false
+        };
+    }
+
+    // Skeleton of the session as one forest: each tab hangs off the tab it was opened from
+    getLineageForest(trees) {
+        const lineageNodes = new Map(trees.map(tabTree => [tabTree.tabId, {
+            tabId: tabTree.tabId,
+            openerNodeId: null,
+            children: []
+        }]));
+        const openers = new Map(trees.map(tabTree => [tabTree.tabId, tabTree.opener ? tabTree.opener.tabId : null]));
+
+        const forest = [];
+        for (const tabTree of trees) {
+            const lineageNode = lineageNodes.get(tabTree.tabId);
+            const openerTabId = tabTree.opener ? tabTree.opener.tabId : null;
+
+            if (lineageNodes.has(openerTabId) && !this.isLineageAncestor(openers, tabTree.tabId, openerTabId)) {
+                lineageNode.openerNodeId = tabTree.opener.nodeId;
+                lineageNodes.get(openerTabId).children.push(lineageNode);
+            } else {
+                forest.push(lineageNode);
+            }
+        }
+
+        return forest;
+    }
+
+    // openers maps each tab id to its opener's tab id (or null)
+    isLineageAncestor(openers, tabId, candidateDescendantId) {
+        // Guards against opener cycles, which would drop both tabs from the forest
+        const seen = new Set();
+        for (let id = candidateDescendantId; id !== null && id !== undefined && !seen.has(id); id = openers.get(id)) {
+            if (id === tabId) return true;
+            seen.add(id);
+        }
+        return false;
+    }
+
     handleMessage(request, sender, sendResponse) {
-        console.log('Received message:', request.action);
-        
+        // Every async case answers even when it fails, so the view isn't left with a closed port
+        const fail = (error) => {
+            console.error(`Failed to handle ${request.action}:`, error);
+            sendResponse({ success: false, error: error.message });
+        };
+
         switch (request.action) {
             case 'getAllTabTrees':
-                const tabTrees = this.getAllTabTrees();
-                sendResponse({
-                    success: true,
-                    tabTrees: tabTrees
-                });
+                // Closed tabs are only read from the database once a view asks for them
+                this.loadClosedTabs().then(() => {
+                    const tabTrees = this.getAllTabTrees();
+                    sendResponse({
+                        success: true,
+                        tabTrees: tabTrees,
+                        lineage: request.view === 'lineage' ? this.getLineageForest(tabTrees) : null
+                    });
+                }).catch(fail);
                 break;
 
             case 'clearHistory':
-                this.tabHistories.clear();
-                this.closedTabHistories.clear();
-                this.tabCreationTimes.clear();
-                this.saveToStorage();
+                this.clearAllHistories();
                 sendResponse({ success: true });
                 break;
 
             case 'clearClosedTabs':
                 this.closedTabHistories.clear();
-                this.saveToStorage();
+                this.store.clear('closed');
+                this.broadcast({ type: 'historyCleared', scope: 'closed' });
                 sendResponse({ success: true });
                 break;
 
+            case 'importHistory':
+                this.importHistory(request.data)
+                    .then(result => sendResponse(result))
+                    .catch(fail);
+                break;
+
+            case 'setTabPinned':
+                sendResponse(this.setTabPinned(request.tabId, request.pinned));
+                break;
+
+            case 'getSettings':
+                sendResponse({ success: true, settings: this.settings });
+                break;
+
+            case 'updateSettings':
+                this.updateSettings(request.settings)
+                    .then(result => sendResponse(result))
+                    .catch(fail);
+                break;
+
+            case 'resetSettings':
+                chrome.storage.local.remove('settings')
+                    .then(() => sendResponse({ success: true, settings: DEFAULT_SETTINGS }))
+                    .catch(fail);
+                break;
+
+            case 'applyPrivacyRules':
+                this.applyPrivacyRules()
+                    .then(report => sendResponse({ success: true, ...report }))
+                    .catch(fail);
+                break;
+
+            case 'getAnalytics':
+                this.getAnalytics(request.range)
+                    .then(result => sendResponse(result))
+                    .catch(fail);
+                break;
+
+            case 'getTraceStatus':
+                sendResponse({ success: true, recording: this.getTraceStatus() });
+                break;
+
+            case 'startTrace':
+                this.startTrace()
+                    .then(result => sendResponse(result))
+                    .catch(fail);
+                break;
+
+            case 'stopTrace':
+                this.stopTrace()
+                    .then(result => sendResponse(result))
+                    .catch(fail);
+                break;
+
+            case 'getPauseState':
+                sendResponse({ success: true, pauseState: this.getPauseState() });
+                break;
+
+            case 'setPaused':
+                this.setPaused(request.scope, request.id, request.paused)
+                    .then(result => sendResponse(result))
+                    .catch(fail);
+                break;
+
+            case 'pruneClosedTabs':
+                this.pruneClosedTabs()
+                    .then(report => sendResponse({ success: true, ...report }))
+                    .catch(fail);
+                break;
+
+            case 'getTabSummaries':
+                this.getTabSummaries(request.tabIds || null).then(tabSummaries => {
+                    sendResponse({
+                        success: true,
+                        tabSummaries: tabSummaries,
+                        lineage: request.view === 'lineage' ? this.getLineageForest(tabSummaries) : null
+                    });
+                }).catch(fail);
+                break;
+
+            case 'getTabTree': {
+                // Single tab, for views that follow one tab (the side panel) or expand one (the popup)
+                const tabId = request.tabId;
+                this.loadClosedTabs([tabId]).then(() => {
+                    let tabTree = null;
+                    if (this.tabHistories.has(tabId)) {
+                        tabTree = this.getActiveTabTree(tabId, this.withOpenDwell(tabId, this.tabHistories.get(tabId)));
+                    } else if (this.closedTabHistories.has(tabId)) {
+                        tabTree = this.getClosedTabTree(tabId, this.withOpenDwell(tabId, this.closedTabHistories.get(tabId)));
+                    }
+                    sendResponse({ success: true, tabTree: tabTree });
+                }).catch(fail);
+                break;
+            }
+
             case 'getStatus':
                 sendResponse({
                     success: true,
@@ -442,22 +1727,34 @@ class TabHistoryTracker {
                     activeTabs: this.tabHistories.size,
                     closedTabs: this.closedTabHistories.size,
                     totalSessionEntries: Array.from(this.tabHistories.values())
-                        .reduce((sum, history) => sum + history.sessionHistory.length, 0) +
+                        .reduce((sum, history) => sum + this.getNodeCount(history), 0) +
                         Array.from(this.closedTabHistories.values())
-                        .reduce((sum, history) => sum + history.sessionHistory.length, 0)
+                        .reduce((sum, history) => sum + this.getNodeCount(history), 0)
                 });
                 break;
 
+            case 'navigateToNode':
+                this.navigateToNode(request.tabId, request.nodeId)
+                    .then(result => sendResponse(result))
+                    .catch(fail);
+                break;
+
+            case 'reopenClosedTab':
+                this.reopenClosedTab(request.tabId)
+                    .then(result => sendResponse(result))
+                    .catch(fail);
+                break;
+
             case 'refreshTabHistory':
                 if (request.tabId) {
-                    this.buildTreeFromSessionHistory(request.tabId);
+                    this.buildTreeForTab(request.tabId);
                     const tabTree = this.tabHistories.get(request.tabId);
                     sendResponse({
                         success: true,
                         tree: tabTree ? {
                             tabId: request.tabId,
                             tree: tabTree.tree,
-                            sessionHistory: tabTree.sessionHistory,
+                            sessionHistory: this.getSessionHistory(tabTree),
                             currentIndex: tabTree.currentIndex
                         } : null
                     });
@@ -468,14 +1765,14 @@ class TabHistoryTracker {
                 const debugInfo = {
                     activeTabs: Array.from(this.tabHistories.entries()).map(([id, history]) => ({
                         tabId: id,
-                        sessionLength: history.sessionHistory?.length,
+                        nodeCount: history.nodes?.length,
                         hasTree: !!history.tree,
                         currentIndex: history.currentIndex,
                         tree: history.tree ? this.simplifyTreeForDebug(history.tree) : null
                     })),
                     closedTabs: Array.from(this.closedTabHistories.entries()).map(([id, history]) => ({
                         tabId: id,
-                        sessionLength: history.sessionHistory?.length,
+                        nodeCount: this.getNodeCount(history),
                         hasTree: !!history.tree,
                         currentIndex: history.currentIndex,
                         closedAt: history.closedAt,
@@ -494,9 +1791,26 @@ class TabHistoryTracker {
         return true;
     }
 
+    // Histories saved before the node model only have a linear sessionHistory;
+    // turn it into a single chain of nodes. Returns true if anything changed.
+    migrateLinearHistory(tabHistory) {
+        if (tabHistory.nodes) return false;
+
+        const sessionHistory = tabHistory.sessionHistory || [];
+        tabHistory.nodes = sessionHistory.map((entry, index) =>
+            this.createHistoryNode(index, index === 0 ? null : index - 1, entry)
+        );
+        tabHistory.stack = tabHistory.nodes.map(node => node.id);
+        tabHistory.currentIndex = Math.min(tabHistory.currentIndex || 0, tabHistory.stack.length - 1);
+        tabHistory.currentNodeId = tabHistory.stack[tabHistory.currentIndex];
+        delete tabHistory.sessionHistory;
+        return true;
+    }
+
     simplifyTreeForDebug(node) {
         if (!node) return null;
         return {
+            id: node.id,
             url: node.entry?.url,
             level: node.level,
             isCurrent: node.isCurrent,
@@ -504,48 +1818,657 @@ class TabHistoryTracker {
         };
     }
 
+    async loadSettings() {
+        try {
+            const result = await chrome.storage.local.get(['settings']);
+            this.applySettings(result.settings);
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+    }
+
+    applySettings(stored = {}) {
+        // Merge section by section so settings saved by older versions pick up new keys
+        const settings = {};
+        for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+            settings[section] = { ...defaults, ...((stored || {})[section] || {}) };
+        }
+        this.settings = settings;
+        this.privacy = new PrivacyRules(settings.privacy);
+        console.log('Applied settings:', this.settings);
+    }
+
+    async updateSettings(changes) {
+        const settings = {};
+        for (const [section, values] of Object.entries(changes || {})) {
+            if (!DEFAULT_SETTINGS[section] || !values || typeof values !== 'object') {
+                return { success: false, error: `Unknown settings section: ${section}` };
+            }
+            settings[section] = { ...this.settings[section] };
+            for (let [key, value] of Object.entries(values)) {
+                const choices = SETTING_CHOICES[`${section}.${key}`];
+                const defaultValue = DEFAULT_SETTINGS[section][key];
+                if (!(key in DEFAULT_SETTINGS[section]) || typeof value !== typeof defaultValue ||
+                    Array.isArray(value) !== Array.isArray(defaultValue) ||
+                    (Array.isArray(value) && !value.every(item => typeof item === 'string')) ||
+                    (choices && !choices.includes(value))) {
+                    return { success: false, error: `Invalid setting: ${section}.${key}` };
+                }
+                if (typeof value === 'number') {
+                    // The options page clamps its inputs, but any view can send this message
+                    if (!Number.isFinite(value) || value < 0) {
+                        return { success: false, error: `Invalid setting: ${section}.${key}` };
+                    }
+                    value = Math.min(Math.floor(value), SETTING_MAXIMUMS[`${section}.${key}`]);
+                }
+                settings[section][key] = value;
+            }
+        }
+
+        // storage.onChanged applies the new values
+        await chrome.storage.local.set({ settings: { ...this.settings, ...settings } });
+        return { success: true };
+    }
+
+    // Trace recording
+
+    async loadTraceState() {
+        try {
+            const result = await chrome.storage.session.get([TRACE_STATE_KEY]);
+            this.trace = result[TRACE_STATE_KEY] || null;
+        } catch (error) {
+            console.error('Failed to load trace state:', error);
+        }
+    }
+
+    saveTraceState() {
+        // Events come in bursts; write the recording once they settle
+        clearTimeout(this.traceSaveTimer);
+        this.traceSaveTimer = setTimeout(() => {
+            chrome.storage.session.set({ [TRACE_STATE_KEY]: this.trace })
+                .catch(error => console.error('Failed to save trace:', error));
+        }, TRACE_SAVE_DELAY);
+    }
+
+    getTraceStatus() {
+        if (!this.trace) return null;
+        return {
+            startedAt: this.trace.startedAt,
+            records: this.trace.records.length,
+            truncated: this.trace.truncated
+        };
+    }
+
+    async startTrace() {
+        if (this.trace) {
+            return { success: false, error: 'A trace is already being recorded' };
+        }
+
+        // A replay starts a fresh tracker on the tabs open now, with the same settings
+        const tabs = await chrome.tabs.query({});
+        this.trace = {
+            version: TRACE_VERSION,
+            startedAt: Date.now(),
+            userAgent: navigator.userAgent,
+            settings: this.settings,
+            pauseState: this.getPauseState(),
+            tabs: tabs,
+            truncated: false,
+            records: []
+        };
+        console.log(`Started recording a trace with ${tabs.length} open tabs`);
+        return { success: true, recording: this.getTraceStatus() };
+    }
+
+    async stopTrace() {
+        if (!this.trace) {
+            return { success: false, error: 'No trace is being recorded' };
+        }
+
+        const trace = { ...this.trace, stoppedAt: Date.now() };
+        this.trace = null;
+        clearTimeout(this.traceSaveTimer);
+        await chrome.storage.session.remove(TRACE_STATE_KEY);
+        console.log(`Stopped recording a trace of ${trace.records.length} records`);
+        return { success: true, trace: trace };
+    }
+
+    recordTrace(record) {
+        if (!this.trace) return;
+        if (this.trace.records.length >= TRACE_MAX_RECORDS) {
+            this.trace.truncated = true;
+            return;
+        }
+        this.trace.records.push({ time: Date.now(), ...record });
+        this.saveTraceState();
+    }
+
+    // Wraps an event listener so each event is recorded before it is handled
+    traced(event, listener) {
+        return (...args) => {
+            this.recordTrace({ event: event, args: args });
+            return listener(...args);
+        };
+    }
+
+    // Runs a browser query the tracker acts on and records its answer, so a replay can give the same one
+    async tracedCall(call, args, run) {
+        try {
+            const result = await run();
+            this.recordTrace({ call: call, args: args, result: result });
+            return result;
+        } catch (error) {
+            this.recordTrace({ call: call, args: args, error: error.message });
+            throw error;
+        }
+    }
+
+    async loadPauseState() {
+        try {
+            const result = await chrome.storage.session.get([PAUSE_STATE_KEY]);
+            const stored = result[PAUSE_STATE_KEY] || {};
+            this.pauseState = {
+                global: !!stored.global,
+                windowIds: new Set(stored.windowIds || []),
+                tabIds: new Set(stored.tabIds || [])
+            };
+            this.updateBadges();
+        } catch (error) {
+            console.error('Failed to load pause state:', error);
+        }
+    }
+
+    savePauseState() {
+        return chrome.storage.session.set({ [PAUSE_STATE_KEY]: this.getPauseState() });
+    }
+
+    getPauseState() {
+        return {
+            global: this.pauseState.global,
+            windowIds: Array.from(this.pauseState.windowIds),
+            tabIds: Array.from(this.pauseState.tabIds)
+        };
+    }
+
+    getPauseReason(tabId) {
+        if (this.pauseState.global) return 'all tabs';
+        if (this.pauseState.tabIds.has(tabId)) return 'this tab';
+        if (this.pauseState.windowIds.has(this.tabWindowIds.get(tabId))) return 'this window';
+        return null;
+    }
+
+    isPaused(tabId) {
+        return this.getPauseReason(tabId) !== null;
+    }
+
+    async setPaused(scope, id, paused) {
+        if (scope === 'global') {
+            this.pauseState.global = !!paused;
+        } else if (scope === 'window' || scope === 'tab') {
+            const ids = scope === 'window' ? this.pauseState.windowIds : this.pauseState.tabIds;
+            if (typeof id !== 'number') {
+                return { success: false, error: `Missing ${scope} id` };
+            }
+            if (paused) {
+                ids.add(id);
+            } else {
+                ids.delete(id);
+            }
+        } else {
+            return { success: false, error: `Unknown pause scope: ${scope}` };
+        }
+
+        console.log(`Tracking ${paused ? 'paused' : 'resumed'} for ${scope}${scope === 'global' ? '' : ` ${id}`}`);
+        await this.savePauseState();
+        this.updateBadges();
+        // Pause reasons are part of every active tab's data
+        for (const tabId of this.tabHistories.keys()) {
+            this.broadcastTabUpdated(tabId);
+        }
+        if (!paused) await this.recordResumedTabs();
+        return { success: true, pauseState: this.getPauseState() };
+    }
+
+    // Tabs that moved on while paused get a node for where they are now, marked as following a gap
+    async recordResumedTabs() {
+        const tabs = await this.tracedCall('tabs.query', [{}], () => chrome.tabs.query({}));
+        for (const tab of tabs) {
+            const tabHistory = this.tabHistories.get(tab.id);
+            if (!tabHistory || !tabHistory.missedNavigations || this.isPaused(tab.id)) continue;
+            if (tab.url && this.isValidUrl(tab.url)) {
+                await this.updateTabHistory(tab.id, tab.url, tab.title, 'navigation', {});
+            }
+        }
+    }
+
+    setTabWindow(tabId, windowId) {
+        this.tabWindowIds.set(tabId, windowId);
+        this.updateTabBadge(tabId);
+    }
+
+    updateBadges() {
+        chrome.action.setBadgeBackgroundColor({ color: '#5f6368' });
+        chrome.action.setBadgeText({ text: this.pauseState.global ? 'OFF' : '' });
+        for (const tabId of this.tabWindowIds.keys()) {
+            this.updateTabBadge(tabId);
+        }
+    }
+
+    updateTabBadge(tabId) {
+        const reason = this.getPauseReason(tabId);
+        chrome.action.setBadgeText({ tabId: tabId, text: reason ? 'OFF' : '' });
+        chrome.action.setTitle({
+            tabId: tabId,
+            title: reason ? `Tab history paused for ${reason}` : 'View Tab History Trees'
+        });
+    }
+
+    setTabPinned(tabId, pinned) {
+        const tabHistory = this.closedTabHistories.get(tabId);
+        if (!tabHistory) {
+            return { success: false, error: 'Unknown closed tab' };
+        }
+
+        tabHistory.pinned = !!pinned;
+        this.persistTab(tabId, []);
+        this.broadcastTabUpdated(tabId);
+        console.log(`Closed tab ${tabId} ${pinned ? 'pinned' : 'unpinned'}`);
+        return { success: true };
+    }
+
+    async getAnalytics(range = {}) {
+        const { from = null, to = null } = range || {};
+        for (const value of [from, to]) {
+            if (value !== null && (typeof value !== 'number' || !isFinite(value))) {
+                return { success: false, error: 'Range bounds must be timestamps or null' };
+            }
+        }
+        if (from !== null && to !== null && from > to) {
+            return { success: false, error: 'Range starts after it ends' };
+        }
+
+        await this.loadClosedTabs();
+
+        const analytics = new HistoryAnalytics({ from: from, to: to });
+        for (const [tabId, tabHistory] of this.tabHistories) {
+            analytics.addTab(tabId, {
+                ...this.withOpenDwell(tabId, tabHistory),
+                creationTime: this.tabCreationTimes.get(tabId) || tabHistory.creationTime
+            }, false);
+        }
+        for (const [tabId, tabHistory] of this.closedTabHistories) {
+            analytics.addTab(tabId, this.withOpenDwell(tabId, tabHistory), true);
+        }
+        return { success: true, analytics: analytics.getReport() };
+    }
+
+    async pruneClosedTabs() {
+        const { maxAgeDays, maxClosedTabs, maxTotalEntries, maxStorageMB } = this.settings.retention;
+        const report = { pruned: 0, reasons: {}, tabIds: [] };
+        const prune = (tabId, reason) => {
+            this.closedTabHistories.delete(tabId);
+            this.store.deleteTab(tabId);
+            report.pruned++;
+            report.tabIds.push(tabId);
+            report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+        };
+
+        // Pinned tabs are kept forever; everything else goes oldest first
+        const candidates = () => Array.from(this.closedTabHistories.entries())
+            .filter(([, tabHistory]) => !tabHistory.pinned)
+            .sort(([, a], [, b]) => (a.closedAt || 0) - (b.closedAt || 0));
+
+        if (maxAgeDays > 0) {
+            const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+            candidates()
+                .filter(([, tabHistory]) => (tabHistory.closedAt || 0) < cutoff)
+                .forEach(([tabId]) => prune(tabId, 'age'));
+        }
+
+        if (maxClosedTabs > 0) {
+            const excess = this.closedTabHistories.size - maxClosedTabs;
+            candidates().slice(0, Math.max(0, excess)).forEach(([tabId]) => prune(tabId, 'count'));
+        }
+
+        const countEntries = () => [...this.tabHistories.values(), ...this.closedTabHistories.values()]
+            .reduce((sum, tabHistory) => sum + this.getNodeCount(tabHistory), 0);
+
+        if (maxTotalEntries > 0) {
+            let totalEntries = countEntries();
+            for (const [tabId, tabHistory] of candidates()) {
+                if (totalEntries <= maxTotalEntries) break;
+                totalEntries -= this.getNodeCount(tabHistory);
+                prune(tabId, 'entries');
+            }
+        }
+
+        if (maxStorageMB > 0 && navigator.storage && navigator.storage.estimate) {
+            // Usage only shrinks after the database compacts, so spread it over the nodes
+            // and drop tabs until their estimated share brings us under the limit
+            const { usage } = await navigator.storage.estimate();
+            const totalEntries = countEntries();
+            const bytesPerEntry = totalEntries > 0 ? usage / totalEntries : 0;
+            let estimatedUsage = usage;
+            for (const [tabId, tabHistory] of candidates()) {
+                if (estimatedUsage <= maxStorageMB * 1024 * 1024) break;
+                estimatedUsage -= this.getNodeCount(tabHistory) * bytesPerEntry;
+                prune(tabId, 'storage');
+            }
+        }
+
+        if (report.pruned > 0) {
+            console.log(`Pruned ${report.pruned} closed tab(s):`, report.reasons);
+            this.broadcast({ type: 'tabsRemoved', tabIds: report.tabIds, reason: 'pruned' });
+        }
+        return report;
+    }
+
+    // Retroactively applies the current privacy rules to everything already recorded
+    async applyPrivacyRules() {
+        await this.loadClosedTabs();
+
+        const report = { removedTabs: 0, removedEntries: 0, redactedEntries: 0 };
+        const nodeIdMaps = new Map(); // tabId -> Map of old node id -> new node id (null if gone)
+        // Node ids are about to change; settle the open segment and start a new one afterwards
+        this.flushDwell();
+        this.dwell.segment = null;
+
+        for (const histories of [this.tabHistories, this.closedTabHistories]) {
+            for (const [tabId, tabHistory] of Array.from(histories.entries())) {
+                const result = this.applyPrivacyRulesToTab(tabHistory);
+                if (!result) continue;
+
+                report.removedEntries += result.removed;
+                report.redactedEntries += result.redacted;
+                nodeIdMaps.set(tabId, result.nodeIdMap);
+                this.pendingNavigations.delete(tabId);
+
+                // Node ids were renumbered, so the stored nodes are replaced wholesale
+                this.store.deleteTab(tabId);
+                if (tabHistory.nodes.length === 0) {
+                    histories.delete(tabId);
+                    report.removedTabs++;
+                    this.broadcast({ type: 'tabsRemoved', tabIds: [tabId], reason: 'privacy' });
+                } else {
+                    this.persistTab(tabId);
+                    this.broadcastTabUpdated(tabId);
+                }
+            }
+        }
+
+        // Openers point at node ids in other tabs, and may carry the URL the tab was opened with
+        for (const [tabId, tabHistory] of [...this.tabHistories, ...this.closedTabHistories]) {
+            const opener = tabHistory.opener;
+            if (!opener) continue;
+
+            const targetUrl = opener.targetUrl !== undefined ? this.getRecordableUrl(opener.targetUrl) : undefined;
+            const targetChanged = targetUrl !== opener.targetUrl;
+            if (!nodeIdMaps.has(opener.tabId) && !targetChanged) continue;
+
+            if (targetUrl) {
+                opener.targetUrl = targetUrl;
+            } else {
+                delete opener.targetUrl;
+            }
+            if (nodeIdMaps.has(opener.tabId)) {
+                const openerHistory = this.tabHistories.get(opener.tabId) || this.closedTabHistories.get(opener.tabId);
+                const nodeId = nodeIdMaps.get(opener.tabId).get(opener.nodeId);
+                if (!openerHistory || nodeId === null || nodeId === undefined) {
+                    tabHistory.opener = null;
+                } else {
+                    opener.nodeId = nodeId;
+                    opener.url = openerHistory.nodes[nodeId].entry.url;
+                }
+            }
+            this.persistTab(tabId, []);
+            this.broadcastTabUpdated(tabId);
+        }
+
+        this.saveDwellState();
+        this.updateDwell();
+        console.log('Applied privacy rules to stored history:', report);
+        return report;
+    }
+
+    // Returns null when nothing in the tab changed
+    applyPrivacyRulesToTab(tabHistory) {
+        const nodeIdMap = new Map();
+        const keptIds = new Set();
+        const nodes = [];
+        let removed = 0;
+        let redacted = 0;
+
+        for (const node of tabHistory.nodes) {
+            const parentId = node.parentId === null ? null : nodeIdMap.get(node.parentId);
+            if (!this.privacy.isAllowed(node.entry.url)) {
+                // Children of a removed node move up to its nearest kept ancestor
+                nodeIdMap.set(node.id, parentId);
+                removed++;
+                continue;
+            }
+
+            const url = this.privacy.redactUrl(node.entry.url);
+            const state = this.privacy.redactState(node.entry.state);
+            if (url !== node.entry.url || state !== node.entry.state) redacted++;
+
+            // A tree has one root; orphans of a removed root hang off the first kept node
+            const newParentId = parentId === null && nodes.length > 0 ? 0 : parentId;
+            nodes.push(this.createHistoryNode(nodes.length, newParentId, { ...node.entry, url: url, state: state }));
+            nodeIdMap.set(node.id, nodes.length - 1);
+            keptIds.add(node.id);
+        }
+
+        if (removed === 0 && redacted === 0) return null;
+
+        // Keep the cursor on the closest surviving entry at or before it
+        const stack = tabHistory.stack.filter(nodeId => keptIds.has(nodeId));
+        const currentIndex = tabHistory.stack
+            .slice(0, tabHistory.currentIndex + 1)
+            .filter(nodeId => keptIds.has(nodeId)).length - 1;
+
+        tabHistory.nodes = nodes;
+        tabHistory.stack = stack.length > 0 ? stack.map(nodeId => nodeIdMap.get(nodeId)) : [0];
+        if (nodes.length > 0) {
+            this.moveCursor(tabHistory, currentIndex);
+            tabHistory.tree = this.buildTree(tabHistory);
+        }
+        tabHistory.lastUpdated = Date.now();
+
+        return { nodeIdMap: nodeIdMap, removed: removed, redacted: redacted };
+    }
+
     isValidUrl(url) {
         return url && (url.startsWith('http:') || url.startsWith('https:'));
     }
 
-    async saveToStorage() {
+    persistTab(tabId, nodeIds = null) {
+        // nodeIds lists the nodes that changed; null rewrites all of them
+        const tabHistory = this.tabHistories.get(tabId) || this.closedTabHistories.get(tabId);
+        if (tabHistory) {
+            if (tabHistory.nodes) tabHistory.summary = this.summarizeNodes(tabHistory);
+            this.store.saveTab(tabId, tabHistory, nodeIds);
+        }
+    }
+
+    // History events
+    //
+    // Every open view holds a port; events describe what changed so views can patch
+    // their copy of getAllTabTrees instead of fetching it again:
+    //   nodeAdded {tabId, node}                    a node was appended to an active tab
+    //   entryUpdated {tabId, nodeId, entry}        a node's entry changed in place (title, reloads, replaceState,
+    //                                              back/forward arrivals)
+    //   cursorMoved {tabId, stack, currentIndex, currentNodeId, lastUpdated}
+    //   tabUpdated {tabId, tabTree}                anything else about a tab; carries the whole tab tree
+    //   tabClosed {tabId, closedTabId, closedAt}   the history lives on as closed tab closedTabId
+    //   tabsRemoved {tabIds, reason}               reason is 'pruned', 'privacy' or 'reopened'
+    //   historyCleared {scope}                     scope is 'all' or 'closed'
+    // Each event also carries the revision it brought the history to. A port gets
+    // revision {revision} first, for the view to compare with the last one it saw.
+
+    handleConnect(port) {
+        if (port.name !== HISTORY_EVENTS_PORT) return;
+
+        this.ports.add(port);
+        port.onDisconnect.addListener(() => this.ports.delete(port));
+        port.postMessage({ type: 'revision', revision: this.revision });
+        console.log(`View subscribed to history events (${this.ports.size} open)`);
+    }
+
+    async loadRevision() {
         try {
-            const data = {
-                tabHistories: Array.from(this.tabHistories.entries()),
-                closedTabHistories: Array.from(this.closedTabHistories.entries()),
-                tabCreationTimes: Array.from(this.tabCreationTimes.entries()),
-                lastSaved: Date.now()
-            };
-            await chrome.storage.local.set({ historyTrackerData: data });
-            console.log('Saved data to storage');
+            const result = await chrome.storage.session.get([REVISION_STATE_KEY]);
+            this.revision = result[REVISION_STATE_KEY] || 0;
         } catch (error) {
-            console.error('Failed to save data:', error);
+            console.error('Failed to load history revision:', error);
+        }
+    }
+
+    // Called for every history change, including those no view is listening for
+    bumpRevision() {
+        this.revision++;
+        clearTimeout(this.revisionSaveTimer);
+        this.revisionSaveTimer = setTimeout(() => {
+            chrome.storage.session.set({ [REVISION_STATE_KEY]: this.revision })
+                .catch(error => console.error('Failed to save history revision:', error));
+        }, REVISION_SAVE_DELAY);
+    }
+
+    broadcast(event) {
+        this.bumpRevision();
+        for (const port of this.ports) {
+            try {
+                port.postMessage({ ...event, revision: this.revision });
+            } catch (error) {
+                // The view went away without its disconnect reaching us yet
+                this.ports.delete(port);
+            }
+        }
+    }
+
+    broadcastTabUpdated(tabId) {
+        if (this.ports.size === 0) {
+            // Not worth building the event with nobody listening, but it still counts
+            this.bumpRevision();
+            return;
+        }
+
+        const activeHistory = this.tabHistories.get(tabId);
+        const closedHistory = this.closedTabHistories.get(tabId);
+        let tabTree = null;
+        if (activeHistory) {
+            tabTree = this.getActiveTabTree(tabId, activeHistory);
+        } else if (closedHistory && closedHistory.nodes) {
+            // Closed tabs whose nodes were never loaded aren't in any view yet
+            tabTree = this.getClosedTabTree(tabId, closedHistory);
+        }
+        if (tabTree) this.broadcast({ type: 'tabUpdated', tabId: tabId, tabTree: tabTree });
+    }
+
+    broadcastNavigation(tabId, tabHistory, before) {
+        if (this.ports.size === 0) {
+            this.bumpRevision();
+            return;
+        }
+
+        // The node we left may have picked up a reload or replaceState on the way out, and
+        // one a back/forward reached has a new arrival
+        this.broadcastEntryUpdated(tabId, tabHistory, before.currentNodeId);
+        if (tabHistory.currentNodeId !== before.currentNodeId && tabHistory.currentNodeId < before.nodeCount) {
+            this.broadcastEntryUpdated(tabId, tabHistory, tabHistory.currentNodeId);
+        }
+        for (const node of tabHistory.nodes.slice(before.nodeCount)) {
+            this.broadcast({ type: 'nodeAdded', tabId: tabId, node: node });
+        }
+        this.broadcast({
+            type: 'cursorMoved',
+            tabId: tabId,
+            stack: tabHistory.stack,
+            currentIndex: tabHistory.currentIndex,
+            currentNodeId: tabHistory.currentNodeId,
+            lastUpdated: tabHistory.lastUpdated
+        });
+    }
+
+    broadcastEntryUpdated(tabId, tabHistory, nodeId) {
+        if (!tabHistory.nodes[nodeId]) return;
+        if (this.ports.size === 0) {
+            this.bumpRevision();
+            return;
         }
+        this.broadcast({ type: 'entryUpdated', tabId: tabId, nodeId: nodeId, entry: tabHistory.nodes[nodeId].entry });
+    }
+
+    getNodeCount(tabHistory) {
+        return tabHistory.nodes ? tabHistory.nodes.length : (tabHistory.nodeCount || 0);
     }
 
     async loadStoredData() {
         try {
-            const result = await chrome.storage.local.get(['historyTrackerData']);
-            if (result.historyTrackerData) {
-                const data = result.historyTrackerData;
-                this.tabHistories = new Map(data.tabHistories || []);
-                this.closedTabHistories = new Map(data.closedTabHistories || []);
-                this.tabCreationTimes = new Map(data.tabCreationTimes || []);
-                console.log(`Loaded ${this.tabHistories.size} active and ${this.closedTabHistories.size} closed tab histories from storage`);
-                
-                // Rebuild trees for all loaded histories
-                for (const [tabId] of this.tabHistories) {
-                    await this.buildTreeFromSessionHistory(tabId);
-                }
-                for (const [tabId] of this.closedTabHistories) {
-                    // For closed tabs, we already have the tree structure saved
-                    console.log(`Loaded closed tab ${tabId} history`);
+            await this.store.open();
+            if (!this.incognito) await this.migrateLegacyStorage();
+
+            // Active tabs are needed right away; closed ones only get their records
+            const activeTabs = await this.store.loadTabs('active');
+            const nodesByTab = await this.store.loadNodes(activeTabs.map(([tabId]) => tabId));
+            for (const [tabId, tabHistory] of activeTabs) {
+                tabHistory.nodes = nodesByTab.get(tabId) || [];
+                this.tabHistories.set(tabId, tabHistory);
+                if (tabHistory.creationTime) {
+                    this.tabCreationTimes.set(tabId, tabHistory.creationTime);
                 }
+                await this.buildTreeForTab(tabId);
             }
+
+            this.closedTabHistories = new Map(await this.store.loadTabs('closed'));
+            console.log(`Loaded ${this.tabHistories.size} active and ${this.closedTabHistories.size} closed tab histories from storage`);
         } catch (error) {
             console.error('Failed to load data:', error);
         }
     }
+
+    async loadClosedTabs(tabIds = null) {
+        const unloaded = (tabIds || Array.from(this.closedTabHistories.keys()))
+            .filter(tabId => this.closedTabHistories.has(tabId) && !this.closedTabHistories.get(tabId).nodes);
+        if (unloaded.length === 0) return;
+
+        const nodesByTab = await this.store.loadNodes(unloaded);
+        for (const tabId of unloaded) {
+            const tabHistory = this.closedTabHistories.get(tabId);
+            tabHistory.nodes = nodesByTab.get(tabId) || [];
+            tabHistory.tree = this.buildTree(tabHistory);
+        }
+        console.log(`Loaded nodes for ${unloaded.length} closed tab(s)`);
+    }
+
+    // Versions before the IndexedDB store kept everything in one chrome.storage.local blob
+    async migrateLegacyStorage() {
+        const result = await chrome.storage.local.get(['historyTrackerData']);
+        const data = result.historyTrackerData;
+        if (!data) return;
+
+        const creationTimes = new Map(data.tabCreationTimes || []);
+        const legacyTabs = [
+            ...(data.tabHistories || []).map(([tabId, tabHistory]) => [tabId, tabHistory, false]),
+            ...(data.closedTabHistories || []).map(([tabId, tabHistory]) => [tabId, tabHistory, true])
+        ];
+        // Closed tabs go under archive ids, like in handleTabClose(); the store is still empty
+        const archivedTabIds = new Map(legacyTabs.filter(([, , isClosed]) => isClosed)
+            .map(([tabId], index) => [tabId, -1 - index]));
+        for (const [tabId, tabHistory, isClosed] of legacyTabs) {
+            this.migrateLinearHistory(tabHistory);
+            tabHistory.isClosed = isClosed;
+            tabHistory.creationTime = tabHistory.creationTime || creationTimes.get(tabId);
+            if (tabHistory.opener && archivedTabIds.has(tabHistory.opener.tabId)) {
+                tabHistory.opener.tabId = archivedTabIds.get(tabHistory.opener.tabId);
+            }
+            this.store.saveTab(isClosed ? archivedTabIds.get(tabId) : tabId, tabHistory);
+        }
+
+        await this.store.flush();
+        await this.store.setMeta('migratedFromStorageAt', Date.now());
+        await chrome.storage.local.remove('historyTrackerData');
+        console.log(`Migrated ${legacyTabs.length} tab histories from chrome.storage.local`);
+    }
 }
 
 // Content script function to get history information
@@ -576,5 +2499,36 @@ function getTabHistoryInfo() {
     };
 }
 
+// Page-world function to read the URLs of the back list up to the current entry. The
+// Navigation API only lists entries from the current page's origin, so the list stops
+// at the first cross-origin one
+function getLiveBackList(depth) {
+    let urls = [window.location.href];
+    if (window.navigation && navigation.currentEntry) {
+        const currentIndex = navigation.currentEntry.index;
+        const entries = navigation.entries().filter(entry => entry.index <= currentIndex);
+        // Keep only the unbroken run that ends at the current entry
+        let start = entries.length - 1;
+        while (start > 0 && entries[start - 1].index === entries[start].index - 1) start--;
+        urls = entries.slice(start).slice(-depth).map(entry => entry.url);
+    }
+    return { length: history.length, urls: urls };
+}
+
+// Page-world function to pop the pushState/replaceState call recorded for a URL
+function takeHistoryStateChange(url) {
+    const changes = window.__historyTreeStateChanges || [];
+    const index = changes.findIndex(change => change.url === url);
+    if (index === -1) return null;
+
+    // Drop older calls too; their events have already been delivered
+    return changes.splice(0, index + 1).pop().kind;
+}
+
+// Content script function to move through the tab's back/forward list
+function goInHistory(steps) {
+    history.go(steps);
+}
+
 // Initialize the tracker
 const tracker = new TabHistoryTracker();
\ No newline at end of file
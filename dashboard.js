@@ -0,0 +1,390 @@
+// Tab History Tree Generator - Dashboard
+// Draws tab trees as an SVG node-link graph with pan, zoom and collapsible
+// subtrees. Fed by the same getAllTabTrees message as the popup.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 3;
+const TAB_GAP = 60; // vertical space between trees when drawing all tabs
+
+class TabHistoryDashboard {
+    constructor() {
+        this.tabTrees = [];
+        const params = new URLSearchParams(location.search);
+        this.selectedTab = params.get('tab') || 'all';
+        // Set when opened from the timeline: the node to highlight and centre on
+        this.focusNodeId = params.has('node') ? parseInt(params.get('node')) : null;
+        this.focusPosition = null;
+        this.collapsed = new Set(); // "tabId:nodeId" keys of collapsed subtrees
+        this.transform = { x: 20, y: 20, scale: 1 };
+        this.layout = new TreeLayout({
+            isCollapsed: (node) => this.collapsed.has(this.getNodeKey(this.currentTabId, node.id))
+        });
+        this.currentTabId = null; // tab being laid out, for isCollapsed
+        this.live = new LiveTabTrees((change) => this.handleLiveChange(change));
+        this.renderScheduled = false;
+        this.selectChanged = false;
+        this.init();
+    }
+
+    async init() {
+        this.bindEvents();
+        await this.loadTabTrees();
+        if (this.focusPosition) {
+            this.centerOn(this.focusPosition);
+        } else {
+            this.fitToView();
+        }
+        this.live.connect();
+    }
+
+    bindEvents() {
+        document.getElementById('tabSelect').addEventListener('change', (e) => {
+            this.selectedTab = e.target.value;
+            this.render();
+            this.fitToView();
+        });
+
+        document.getElementById('includeClosed').addEventListener('change', () => {
+            this.populateTabSelect();
+            this.render();
+        });
+
+        document.getElementById('expandAllBtn').addEventListener('click', () => {
+            this.collapsed.clear();
+            this.render();
+        });
+
+        document.getElementById('fitBtn').addEventListener('click', () => {
+            this.fitToView();
+        });
+
+        document.getElementById('refreshBtn').addEventListener('click', () => {
+            this.loadTabTrees();
+        });
+
+        document.getElementById('timelineBtn').addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('timeline.html') });
+        });
+
+        this.bindPanZoom();
+    }
+
+    bindPanZoom() {
+        const svg = document.getElementById('graph');
+        let drag = null;
+
+        svg.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.graph-node')) return;
+            drag = { x: e.clientX, y: e.clientY, startX: this.transform.x, startY: this.transform.y };
+            svg.setPointerCapture(e.pointerId);
+            svg.classList.add('panning');
+        });
+
+        svg.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            this.transform.x = drag.startX + e.clientX - drag.x;
+            this.transform.y = drag.startY + e.clientY - drag.y;
+            this.applyTransform();
+        });
+
+        const endDrag = () => {
+            drag = null;
+            svg.classList.remove('panning');
+        };
+        svg.addEventListener('pointerup', endDrag);
+        svg.addEventListener('pointercancel', endDrag);
+
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            // Zoom around the pointer so the point under it stays put
+            const rect = svg.getBoundingClientRect();
+            const pointerX = e.clientX - rect.left;
+            const pointerY = e.clientY - rect.top;
+            const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.transform.scale * Math.exp(-e.deltaY * 0.001)));
+            const ratio = scale / this.transform.scale;
+            this.transform.x = pointerX - (pointerX - this.transform.x) * ratio;
+            this.transform.y = pointerY - (pointerY - this.transform.y) * ratio;
+            this.transform.scale = scale;
+            this.applyTransform();
+        }, { passive: false });
+    }
+
+    async loadTabTrees() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getAllTabTrees' });
+            if (!response || !response.success) {
+                this.showEmptyState('Failed to load tab trees: ' + (response && response.error || 'Unknown error'));
+                return;
+            }
+            this.tabTrees = response.tabTrees || [];
+            this.live.setTabTrees(this.tabTrees);
+            this.populateTabSelect();
+            this.render();
+        } catch (error) {
+            console.error('Error loading tab trees:', error);
+            this.showEmptyState('Error communicating with extension: ' + error.message);
+        }
+    }
+
+    handleLiveChange(change) {
+        if (change.reload) {
+            this.loadTabTrees();
+            return;
+        }
+
+        this.tabTrees = this.live.tabTrees;
+        this.selectChanged = this.selectChanged || change.structural;
+        // A navigation arrives as several events; draw once for all of them
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            // Titles in the tab list can change too, but only rebuild it when tabs come or go
+            if (this.selectChanged) this.populateTabSelect();
+            this.selectChanged = false;
+            this.render();
+        });
+    }
+
+    getVisibleTabTrees() {
+        const includeClosed = document.getElementById('includeClosed').checked;
+        return this.tabTrees.filter(tabTree => tabTree.tree && tabTree.tree.entry && (includeClosed || !tabTree.isClosed));
+    }
+
+    populateTabSelect() {
+        const select = document.getElementById('tabSelect');
+        const tabTrees = this.getVisibleTabTrees();
+        select.replaceChildren(new Option(`All tabs (${tabTrees.length})`, 'all'));
+        for (const tabTree of tabTrees) {
+            const current = this.findCurrentNode(tabTree.tree);
+            const title = current ? (current.entry.title || current.entry.url) : '';
+            select.add(new Option(`${this.getTabLabel(tabTree)} — ${title}`, String(tabTree.tabId)));
+        }
+
+        // Fall back to all tabs if the selected one went away
+        if (!Array.from(select.options).some(option => option.value === this.selectedTab)) {
+            this.selectedTab = 'all';
+        }
+        select.value = this.selectedTab;
+    }
+
+    render() {
+        const viewport = document.getElementById('viewport');
+        viewport.replaceChildren();
+        this.hideTooltip();
+
+        const tabTrees = this.selectedTab === 'all'
+            ? this.getVisibleTabTrees()
+            : this.getVisibleTabTrees().filter(tabTree => String(tabTree.tabId) === this.selectedTab);
+
+        if (tabTrees.length === 0) {
+            this.showEmptyState('No tab history to draw.');
+            return;
+        }
+        document.getElementById('emptyState').hidden = true;
+
+        let offsetY = 0;
+        this.focusPosition = null;
+        for (const tabTree of tabTrees) {
+            this.currentTabId = tabTree.tabId;
+            const graph = this.layout.layout(tabTree.tree);
+            const group = this.createSvgElement('g', { transform: `translate(0, ${offsetY})` });
+
+            const label = this.createSvgElement('text', { class: 'tab-label', x: 0, y: 0 });
+            label.textContent = this.getTabLabel(tabTree);
+            group.appendChild(label);
+
+            const graphGroup = this.createSvgElement('g', { transform: 'translate(0, 16)' });
+            graph.links.forEach(link => graphGroup.appendChild(this.renderLink(link)));
+            graph.nodes.forEach(placed => {
+                graphGroup.appendChild(this.renderNode(tabTree, placed));
+                if (this.isFocusNode(tabTree, placed.node)) {
+                    this.focusPosition = {
+                        x: placed.x + this.layout.nodeWidth / 2,
+                        y: offsetY + 16 + placed.y + this.layout.nodeHeight / 2
+                    };
+                }
+            });
+            group.appendChild(graphGroup);
+
+            viewport.appendChild(group);
+            offsetY += 16 + graph.height + TAB_GAP;
+        }
+
+        this.applyTransform();
+    }
+
+    renderLink(link) {
+        const { nodeWidth, nodeHeight } = this.layout;
+        const startX = link.source.x + nodeWidth;
+        const startY = link.source.y + nodeHeight / 2;
+        const endX = link.target.x;
+        const endY = link.target.y + nodeHeight / 2;
+        const midX = (startX + endX) / 2;
+        return this.createSvgElement('path', {
+            class: `link ${link.target.node.isOnCurrentPath ? 'on-path' : ''}`,
+            d: `M ${startX} ${startY} C ${midX} ${startY}, ${midX} ${endY}, ${endX} ${endY}`
+        });
+    }
+
+    renderNode(tabTree, placed) {
+        const { node } = placed;
+        const { nodeWidth, nodeHeight } = this.layout;
+        const classes = ['graph-node'];
+        if (node.isCurrent) classes.push('current');
+        else if (node.isOnCurrentPath) classes.push('on-path');
+        if (placed.collapsed) classes.push('collapsed');
+        if (this.isFocusNode(tabTree, node)) classes.push('focused');
+
+        const group = this.createSvgElement('g', {
+            class: classes.join(' '),
+            transform: `translate(${placed.x}, ${placed.y})`
+        });
+        group.appendChild(this.createSvgElement('rect', { width: nodeWidth, height: nodeHeight, rx: 6, ry: 6 }));
+
+        const title = this.createSvgElement('text', { class: 'node-title', x: 8, y: 15 });
+        title.textContent = this.truncate(node.entry.title || getDomainFromUrl(node.entry.url), 28);
+        group.appendChild(title);
+
+        const meta = this.createSvgElement('text', { class: 'node-meta', x: 8, y: 28 });
+        meta.textContent = `${getNodeTypeLabel(node.entry.type)} · ${getDomainFromUrl(node.entry.url)}`;
+        group.appendChild(meta);
+
+        if (placed.collapsed) {
+            const badge = this.createSvgElement('text', { class: 'node-badge', x: nodeWidth + 6, y: nodeHeight / 2 + 4 });
+            badge.textContent = `+${placed.hiddenCount}`;
+            group.appendChild(badge);
+        }
+
+        if ((node.children || []).length > 0) {
+            group.addEventListener('click', () => this.toggleCollapsed(tabTree.tabId, node.id));
+        }
+        group.addEventListener('mouseenter', (e) => this.showTooltip(node, e));
+        group.addEventListener('mousemove', (e) => this.moveTooltip(e));
+        group.addEventListener('mouseleave', () => this.hideTooltip());
+        return group;
+    }
+
+    isFocusNode(tabTree, node) {
+        return this.focusNodeId !== null && node.id === this.focusNodeId && String(tabTree.tabId) === this.selectedTab;
+    }
+
+    toggleCollapsed(tabId, nodeId) {
+        const key = this.getNodeKey(tabId, nodeId);
+        if (this.collapsed.has(key)) {
+            this.collapsed.delete(key);
+        } else {
+            this.collapsed.add(key);
+        }
+        this.render();
+    }
+
+    showTooltip(node, event) {
+        const tooltip = document.getElementById('tooltip');
+        const title = document.createElement('div');
+        title.className = 'tooltip-title';
+        title.textContent = node.entry.title || node.entry.url;
+        const url = document.createElement('div');
+        url.className = 'tooltip-url';
+        url.textContent = node.entry.url;
+        const meta = document.createElement('div');
+        meta.className = 'tooltip-meta';
+        meta.textContent = `${this.formatDateTime(node.entry.timestamp)} · ${getNodeTypeLabel(node.entry.type)}` +
+            (node.entry.dwellTime ? ` · ${formatDuration(node.entry.dwellTime)} in front` : '') +
+            (node.entry.arrivals ? ` · reached by ${formatArrivals(node.entry.arrivals).toLowerCase()}` : '') +
+            (node.isCurrent ? ' · current' : '');
+        tooltip.replaceChildren(title, url, meta);
+        tooltip.hidden = false;
+        this.moveTooltip(event);
+    }
+
+    moveTooltip(event) {
+        const tooltip = document.getElementById('tooltip');
+        const container = document.getElementById('graphContainer').getBoundingClientRect();
+        // Keep the tooltip inside the graph area
+        const left = Math.min(event.clientX - container.left + 14, container.width - tooltip.offsetWidth - 8);
+        const top = Math.min(event.clientY - container.top + 14, container.height - tooltip.offsetHeight - 8);
+        tooltip.style.left = `${Math.max(8, left)}px`;
+        tooltip.style.top = `${Math.max(8, top)}px`;
+    }
+
+    hideTooltip() {
+        document.getElementById('tooltip').hidden = true;
+    }
+
+    fitToView() {
+        const svg = document.getElementById('graph');
+        const viewport = document.getElementById('viewport');
+        const box = viewport.getBBox();
+        if (box.width === 0 || box.height === 0) return;
+
+        const padding = 20;
+        const scale = Math.min(1, (svg.clientWidth - padding * 2) / box.width, (svg.clientHeight - padding * 2) / box.height);
+        this.transform.scale = Math.max(MIN_ZOOM, scale);
+        this.transform.x = padding - box.x * this.transform.scale;
+        this.transform.y = padding - box.y * this.transform.scale;
+        this.applyTransform();
+    }
+
+    centerOn(position) {
+        const svg = document.getElementById('graph');
+        this.transform.scale = 1;
+        this.transform.x = svg.clientWidth / 2 - position.x;
+        this.transform.y = svg.clientHeight / 2 - position.y;
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        const { x, y, scale } = this.transform;
+        document.getElementById('viewport').setAttribute('transform', `translate(${x}, ${y}) scale(${scale})`);
+    }
+
+    showEmptyState(message) {
+        document.getElementById('viewport').replaceChildren();
+        const emptyState = document.getElementById('emptyState');
+        emptyState.textContent = message;
+        emptyState.hidden = false;
+    }
+
+    createSvgElement(name, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, name);
+        for (const [key, value] of Object.entries(attributes)) {
+            element.setAttribute(key, value);
+        }
+        return element;
+    }
+
+    findCurrentNode(node) {
+        if (!node) return null;
+        if (node.isCurrent) return node;
+        for (const child of node.children || []) {
+            const found = this.findCurrentNode(child);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    getNodeKey(tabId, nodeId) {
+        return `${tabId}:${nodeId}`;
+    }
+
+    getTabLabel(tabTree) {
+        let label = `Tab ${tabTree.tabId}`;
+        if (tabTree.isClosed) label += tabTree.importedAt ? ' (Imported)' : (tabTree.endedByRestart ? ' (Ended by restart)' : ' (Closed)');
+        return label;
+    }
+
+    truncate(text, length) {
+        return text.length > length ? text.slice(0, length - 1) + '…' : text;
+    }
+
+    formatDateTime(timestamp) {
+        if (!timestamp || isNaN(timestamp)) return 'Unknown';
+        return new Date(timestamp).toLocaleString();
+    }
+}
+
+// Initialize the dashboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new TabHistoryDashboard();
+});
@@ -0,0 +1,191 @@
+// Tab History Tree Generator - History analytics
+// Aggregates stored tab histories into the numbers the analytics page shows.
+// Works on the raw {nodes, currentNodeId, ...} histories, not on built trees.
+//
+// The date range {from, to} (timestamps, either may be null) selects which
+// navigations count. Tree shape statistics cover tabs with at least one
+// navigation in the range; lifetimes cover tabs that were open during it.
+const ANALYTICS_TOP_COUNT = 10;
+// Activations only record that a tab was switched to; they aren't navigations
+const ANALYTICS_SKIPPED_TYPES = ['activation'];
+
+class HistoryAnalytics {
+    constructor(range = {}) {
+        this.from = range.from || null;
+        this.to = range.to || null;
+        this.now = Date.now();
+
+        this.domains = new Map(); // hostname -> {domain, visits, dwellTime}
+        this.startPages = new Map(); // url -> {url, title, tabs, branchPoints}
+        this.abandoned = []; // {tabId, title, isClosed, abandonedBranches}
+        this.leafDepths = [];
+        this.perHour = new Array(24).fill(0);
+        this.perDay = new Map(); // 'YYYY-MM-DD' -> navigations
+        this.lifetimes = { active: [], closed: [] };
+        this.tabCount = 0;
+        this.navigationCount = 0;
+        this.totalDwellTime = 0;
+    }
+
+    inRange(timestamp) {
+        return (this.from === null || timestamp >= this.from) && (this.to === null || timestamp <= this.to);
+    }
+
+    // tabHistory is the tracker's per-tab record; closed tabs carry closedAt
+    addTab(tabId, tabHistory, isClosed) {
+        const nodes = tabHistory.nodes || [];
+        if (nodes.length === 0) return;
+
+        const creationTime = tabHistory.creationTime || nodes[0].entry.timestamp;
+        const endTime = isClosed ? (tabHistory.closedAt || tabHistory.lastUpdated) : this.now;
+        if (this.overlaps(creationTime, endTime)) {
+            this.lifetimes[isClosed ? 'closed' : 'active'].push(endTime - creationTime);
+        }
+
+        const counted = nodes.filter(node => this.inRange(node.entry.timestamp));
+        if (counted.length === 0) return;
+        this.tabCount++;
+
+        for (const node of counted) {
+            if (ANALYTICS_SKIPPED_TYPES.includes(node.entry.type)) continue;
+            this.addNavigation(node.entry);
+        }
+        this.addTreeShape(tabId, tabHistory, isClosed);
+    }
+
+    overlaps(start, end) {
+        return (this.from === null || end >= this.from) && (this.to === null || start <= this.to);
+    }
+
+    addNavigation(entry) {
+        this.navigationCount++;
+
+        const domain = this.getDomain(entry.url);
+        if (!this.domains.has(domain)) {
+            this.domains.set(domain, { domain: domain, visits: 0, dwellTime: 0 });
+        }
+        const stats = this.domains.get(domain);
+        stats.visits++;
+        stats.dwellTime += entry.dwellTime || 0;
+        this.totalDwellTime += entry.dwellTime || 0;
+
+        const date = new Date(entry.timestamp);
+        this.perHour[date.getHours()]++;
+        const day = this.getDayKey(date);
+        this.perDay.set(day, (this.perDay.get(day) || 0) + 1);
+    }
+
+    addTreeShape(tabId, tabHistory, isClosed) {
+        // Node ids are array indexes and parents come before their children
+        const nodes = tabHistory.nodes;
+        const depths = new Array(nodes.length).fill(0);
+        const childCounts = new Array(nodes.length).fill(0);
+        for (const node of nodes) {
+            if (node.parentId === null) continue;
+            depths[node.id] = depths[node.parentId] + 1;
+            childCounts[node.parentId]++;
+        }
+
+        // Leaves off the path to the current node are branches that were left behind
+        const currentPath = new Set();
+        for (let id = tabHistory.currentNodeId; id !== null && id !== undefined && nodes[id]; id = nodes[id].parentId) {
+            currentPath.add(id);
+        }
+
+        let abandonedBranches = 0;
+        let branchPoints = 0;
+        for (const node of nodes) {
+            if (childCounts[node.id] === 0) {
+                this.leafDepths.push(depths[node.id]);
+                if (!currentPath.has(node.id)) abandonedBranches++;
+            } else if (childCounts[node.id] > 1) {
+                branchPoints++;
+            }
+        }
+
+        const root = nodes[0].entry;
+        if (!this.startPages.has(root.url)) {
+            this.startPages.set(root.url, { url: root.url, title: root.title || '', tabs: 0, branchPoints: 0 });
+        }
+        const startPage = this.startPages.get(root.url);
+        startPage.tabs++;
+        startPage.branchPoints += branchPoints;
+
+        if (abandonedBranches > 0) {
+            const current = nodes[tabHistory.currentNodeId] || nodes[nodes.length - 1];
+            this.abandoned.push({
+                tabId: tabId,
+                title: current.entry.title || current.entry.url,
+                isClosed: isClosed,
+                abandonedBranches: abandonedBranches
+            });
+        }
+    }
+
+    getReport() {
+        const domains = Array.from(this.domains.values());
+        const days = Array.from(this.perDay.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([day, navigations]) => ({ day: day, navigations: navigations }));
+
+        return {
+            range: { from: this.from, to: this.to },
+            generatedAt: this.now,
+            totals: {
+                tabs: this.tabCount,
+                navigations: this.navigationCount,
+                domains: domains.length,
+                dwellTime: this.totalDwellTime
+            },
+            topDomainsByVisits: this.top(domains, 'visits'),
+            topDomainsByDwellTime: this.top(domains.filter(domain => domain.dwellTime > 0), 'dwellTime'),
+            branchDepth: {
+                average: this.average(this.leafDepths),
+                max: this.leafDepths.length > 0 ? Math.max(...this.leafDepths) : 0
+            },
+            branchiestStartPages: this.top(Array.from(this.startPages.values()).filter(page => page.branchPoints > 0), 'branchPoints'),
+            mostAbandonedBranches: this.top(this.abandoned, 'abandonedBranches'),
+            navigationsPerHour: this.perHour,
+            navigationsPerDay: days,
+            lifetimes: {
+                active: this.summarize(this.lifetimes.active),
+                closed: this.summarize(this.lifetimes.closed)
+            }
+        };
+    }
+
+    top(items, key) {
+        return [...items].sort((a, b) => b[key] - a[key]).slice(0, ANALYTICS_TOP_COUNT);
+    }
+
+    summarize(values) {
+        if (values.length === 0) return { count: 0, average: 0, median: 0, max: 0 };
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return {
+            count: sorted.length,
+            average: this.average(sorted),
+            median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    getDomain(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    getDayKey(date) {
+        // Local calendar day, so the chart matches the user's clock
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
@@ -0,0 +1,18 @@
+// Tab History Tree Generator - Page-world history hooks
+// webNavigation.onHistoryStateUpdated fires for both pushState and replaceState
+// without saying which; record each call so the background can tell them apart.
+(() => {
+    if (window.__historyTreeStateChanges) return;
+
+    const changes = window.__historyTreeStateChanges = [];
+
+    for (const kind of ['pushState', 'replaceState']) {
+        const original = history[kind];
+        history[kind] = function (...args) {
+            const result = original.apply(this, args);
+            changes.push({ kind: kind, url: location.href });
+            if (changes.length > 50) changes.shift();
+            return result;
+        };
+    }
+})();
@@ -0,0 +1,249 @@
+// Tab History Tree Generator - IndexedDB persistence
+// Tabs and their nodes live in separate object stores so a navigation only
+// rewrites the tab's cursor and the nodes that changed. Writes are batched
+// and flushed together a moment after the last change.
+
+// Bump together with a new case in HistoryStore.upgrade()
+const HISTORY_DB_NAME = 'tabHistoryTree';
+const HISTORY_DB_VERSION = 2;
+
+class HistoryStore {
+    constructor(flushDelay = 500) {
+        this.flushDelay = flushDelay;
+        this.db = null;
+        this.pendingTabs = new Map(); // tabId -> {tabHistory, nodeIds (Set, or null for all nodes)}
+        this.pendingDeletes = new Set(); // tabIds whose records and nodes should be removed
+        this.flushTimer = null;
+        this.queue = Promise.resolve(); // serialises flushes and clears
+    }
+
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion, request.transaction);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        console.log(`Opened history database (schema version ${this.db.version})`);
+    }
+
+    upgrade(db, oldVersion, transaction) {
+        console.log(`Upgrading history database from schema version ${oldVersion} to ${HISTORY_DB_VERSION}`);
+
+        // Each case upgrades from the previous version and falls through to the next
+        switch (oldVersion) {
+            case 0: {
+                const tabs = db.createObjectStore('tabs', { keyPath: 'tabId' });
+                tabs.createIndex('status', 'status');
+                const nodes = db.createObjectStore('nodes', { keyPath: ['tabId', 'id'] });
+                nodes.createIndex('tabId', 'tabId');
+                db.createObjectStore('meta');
+            }
+            case 1:
+                this.archiveClosedTabs(transaction);
+        }
+    }
+
+    // Version 1 kept closed tabs under the id of their tab, which the browser hands out
+    // again after a restart: a new tab overwrote the closed tab's record and picked up
+    // its node rows. Closed tabs now get archive ids below every other id (see
+    // TabHistoryTracker.handleTabClose()), so move them there. Runs inside the upgrade
+    // transaction, which stays open while its requests are in flight.
+    archiveClosedTabs(transaction) {
+        const tabs = transaction.objectStore('tabs');
+        const nodes = transaction.objectStore('nodes');
+        tabs.getAll().onsuccess = (event) => {
+            const records = event.target.result;
+            let nextTabId = records.reduce((minId, record) => Math.min(minId, record.tabId), 0) - 1;
+            const tabIdMap = new Map();
+            for (const record of records) {
+                if (record.status === 'closed' && record.tabId >= 0) tabIdMap.set(record.tabId, nextTabId--);
+            }
+
+            for (const record of records) {
+                const newTabId = tabIdMap.get(record.tabId);
+                const openerMoved = record.opener && tabIdMap.has(record.opener.tabId);
+                if (openerMoved) record.opener = { ...record.opener, tabId: tabIdMap.get(record.opener.tabId) };
+                if (newTabId !== undefined) {
+                    tabs.delete(record.tabId);
+                    record.tabId = newTabId;
+                } else if (record.status === 'active' && record.nodeCount !== undefined) {
+                    // Rows past the active tab's own nodes were left by a closed tab it overwrote
+                    nodes.delete(IDBKeyRange.bound([record.tabId, record.nodeCount], [record.tabId, Infinity]));
+                }
+                if (newTabId !== undefined || openerMoved) tabs.put(record);
+            }
+
+            for (const [tabId, newTabId] of tabIdMap) {
+                nodes.index('tabId').getAll(tabId).onsuccess = (nodesEvent) => {
+                    nodes.delete(IDBKeyRange.bound([tabId, -Infinity], [tabId, Infinity]));
+                    nodesEvent.target.result.forEach(record => nodes.put({ ...record, tabId: newTabId }));
+                };
+            }
+            console.log(`Moved ${tabIdMap.size} closed tab(s) to archive ids`);
+        };
+    }
+
+    // Loading
+
+    // Returns [tabId, tabHistory] pairs; nodes are loaded separately with loadNodes()
+    async loadTabs(status) {
+        const records = await this.request('tabs', 'readonly', store => store.index('status').getAll(status));
+        return records.map(record => [record.tabId, this.fromTabRecord(record)]);
+    }
+
+    async loadNodes(tabIds) {
+        const nodesByTab = new Map();
+        if (tabIds.length === 0) return nodesByTab;
+
+        const transaction = this.db.transaction('nodes', 'readonly');
+        const index = transaction.objectStore('nodes').index('tabId');
+        await Promise.all(tabIds.map(tabId => this.promisify(index.getAll(tabId)).then(records => {
+            // Node ids are array indexes, so put each record back in its slot
+            const nodes = [];
+            for (const record of records) {
+                nodes[record.id] = { id: record.id, parentId: record.parentId, entry: record.entry };
+            }
+            nodesByTab.set(tabId, nodes);
+        })));
+        return nodesByTab;
+    }
+
+    getMeta(key) {
+        return this.request('meta', 'readonly', store => store.get(key));
+    }
+
+    setMeta(key, value) {
+        return this.request('meta', 'readwrite', store => store.put(value, key));
+    }
+
+    // Writing
+
+    saveTab(tabId, tabHistory, nodeIds = null) {
+        const pending = this.pendingTabs.get(tabId);
+        // A tab deleted earlier in this batch has to be written out in full again
+        const writeAll = nodeIds === null || this.pendingDeletes.has(tabId) || (pending && pending.nodeIds === null);
+
+        this.pendingTabs.set(tabId, {
+            tabHistory: tabHistory,
+            nodeIds: writeAll ? null : new Set([...(pending ? pending.nodeIds : []), ...nodeIds])
+        });
+        this.scheduleFlush();
+    }
+
+    deleteTab(tabId) {
+        this.pendingTabs.delete(tabId);
+        this.pendingDeletes.add(tabId);
+        this.scheduleFlush();
+    }
+
+    async clear(status = null) {
+        await this.flush();
+        return this.enqueue(async () => {
+            if (status === null) {
+                const transaction = this.db.transaction(['tabs', 'nodes'], 'readwrite');
+                transaction.objectStore('tabs').clear();
+                transaction.objectStore('nodes').clear();
+                await this.complete(transaction);
+                return;
+            }
+
+            const tabIds = await this.request('tabs', 'readonly', store => store.index('status').getAllKeys(status));
+            const transaction = this.db.transaction(['tabs', 'nodes'], 'readwrite');
+            tabIds.forEach(tabId => this.deleteTabRecords(transaction, tabId));
+            await this.complete(transaction);
+        });
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const pendingTabs = this.pendingTabs;
+        const pendingDeletes = this.pendingDeletes;
+        this.pendingTabs = new Map();
+        this.pendingDeletes = new Set();
+        if (pendingTabs.size === 0 && pendingDeletes.size === 0) return this.queue;
+
+        return this.enqueue(async () => {
+            const transaction = this.db.transaction(['tabs', 'nodes'], 'readwrite');
+            const tabs = transaction.objectStore('tabs');
+            const nodes = transaction.objectStore('nodes');
+
+            pendingDeletes.forEach(tabId => this.deleteTabRecords(transaction, tabId));
+
+            for (const [tabId, { tabHistory, nodeIds }] of pendingTabs) {
+                tabs.put(this.toTabRecord(tabId, tabHistory));
+                if (!tabHistory.nodes) continue; // closed tab whose nodes were never loaded
+
+                const nodesToWrite = nodeIds === null
+                    ? tabHistory.nodes
+                    : Array.from(nodeIds).map(nodeId => tabHistory.nodes[nodeId]);
+                for (const node of nodesToWrite) {
+                    if (!node) continue;
+                    nodes.put({ tabId: tabId, id: node.id, parentId: node.parentId, entry: node.entry });
+                }
+            }
+
+            await this.complete(transaction);
+        });
+    }
+
+    deleteTabRecords(transaction, tabId) {
+        transaction.objectStore('tabs').delete(tabId);
+        transaction.objectStore('nodes').delete(IDBKeyRange.bound([tabId, -Infinity], [tabId, Infinity]));
+    }
+
+    // Records
+
+    toTabRecord(tabId, tabHistory) {
+        const { nodes, tree, ...fields } = tabHistory;
+        return {
+            ...fields,
+            tabId: tabId,
+            status: tabHistory.isClosed ? 'closed' : 'active',
+            nodeCount: nodes ? nodes.length : tabHistory.nodeCount
+        };
+    }
+
+    fromTabRecord(record) {
+        const { tabId, status, ...tabHistory } = record;
+        tabHistory.nodes = null;
+        tabHistory.tree = null;
+        return tabHistory;
+    }
+
+    // IndexedDB plumbing
+
+    enqueue(operation) {
+        this.queue = this.queue.then(operation).catch(error => {
+            console.error('History database operation failed:', error);
+        });
+        return this.queue;
+    }
+
+    request(storeName, mode, makeRequest) {
+        const transaction = this.db.transaction(storeName, mode);
+        return this.promisify(makeRequest(transaction.objectStore(storeName)));
+    }
+
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
@@ -0,0 +1,231 @@
+// Tab History Tree Generator - Live tab trees
+// Keeps a view's copy of the getAllTabTrees data current by applying the
+// history events the background broadcasts over a port (see
+// TabHistoryTracker.broadcast() for the event list).
+const LIVE_EVENTS_PORT = 'historyEvents'; // HISTORY_EVENTS_PORT in background.js
+const LIVE_WORKER_STARTED_ACTION = 'historyWorkerStarted'; // WORKER_STARTED_ACTION in background.js
+
+class LiveTabTrees {
+    // onChange(change) is called after each applied event with {tabIds, structural}
+    // (plus entryOnly: true when just an entry of a kept tree changed), or with {reload: true} when the local copy can't be patched and must be fetched again.
+    // Views that keep only some trees (see tabIds) also get {tabIds, structural, untracked: true}
+    // for events about the other tabs.
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.tabTrees = [];
+        this.indexes = new Map(); // tabId -> {nodes: Map(nodeId -> tree node), parents: Map(nodeId -> parentId)}
+        this.port = null;
+        this.tabId = null; // when set, events about other tabs are ignored
+        this.tabIds = null; // when set, the only tabs whose trees are kept; see addTabTree()
+        this.revision = null; // the background's history revision our copy is at
+        this.listening = false;
+    }
+
+    connect() {
+        if (!this.listening) {
+            this.listening = true;
+            // The worker stops when idle and drops the port. Reconnecting straight away would
+            // only wake it again, so wait until it starts for a reason of its own, e.g. a
+            // navigation or a request from this view.
+            chrome.runtime.onMessage.addListener((message) => {
+                if (message && message.action === LIVE_WORKER_STARTED_ACTION && !this.port) this.connect();
+            });
+        }
+
+        this.port = chrome.runtime.connect({ name: LIVE_EVENTS_PORT });
+        this.port.onMessage.addListener((event) => {
+            if (event.type === 'revision') {
+                // Events went by while we weren't connected; only then is a reload needed
+                const missed = this.revision !== null && event.revision !== this.revision;
+                this.revision = event.revision;
+                if (missed) this.onChange({ reload: true });
+                return;
+            }
+
+            this.revision = event.revision;
+            const change = this.apply(event);
+            if (change) this.onChange(change);
+        });
+        this.port.onDisconnect.addListener(() => {
+            this.port = null;
+        });
+    }
+
+    setTabTrees(tabTrees) {
+        this.tabTrees = tabTrees;
+        this.indexes.clear();
+        if (this.tabIds) this.tabIds = new Set(tabTrees.map(tabTree => tabTree.tabId));
+    }
+
+    addTabTree(tabTree) {
+        this.removeTabTree(tabTree.tabId);
+        this.tabTrees.push(tabTree);
+        if (this.tabIds) this.tabIds.add(tabTree.tabId);
+    }
+
+    removeTabTree(tabId) {
+        this.tabTrees = this.tabTrees.filter(tabTree => tabTree.tabId !== tabId);
+        this.indexes.delete(tabId);
+        if (this.tabIds) this.tabIds.delete(tabId);
+    }
+
+    // Closed tabs live on under an archive id (see TabHistoryTracker.handleTabClose())
+    renameTabTree(tabId, newTabId) {
+        const tabTree = this.getTabTree(tabId);
+        tabTree.tabId = newTabId;
+        if (this.indexes.has(tabId)) {
+            this.indexes.set(newTabId, this.indexes.get(tabId));
+            this.indexes.delete(tabId);
+        }
+        if (this.tabIds && this.tabIds.delete(tabId)) this.tabIds.add(newTabId);
+    }
+
+    getTabTree(tabId) {
+        return this.tabTrees.find(tabTree => tabTree.tabId === tabId) || null;
+    }
+
+    apply(event) {
+        if (this.tabId !== null && event.tabId !== undefined && event.tabId !== this.tabId) {
+            return null;
+        }
+        if (this.tabIds !== null && event.tabId !== undefined && !this.tabIds.has(event.tabId)) {
+            // A closing tab changes id, which the view's list has to pick up
+            return event.type === 'tabClosed'
+                ? this.reportUntracked([event.tabId, event.closedTabId], true)
+                : this.reportUntracked([event.tabId], false);
+        }
+
+        switch (event.type) {
+            case 'nodeAdded':
+                return this.applyToTab(event.tabId, (tabTree, index) => {
+                    const parent = index.nodes.get(event.node.parentId);
+                    const treeNode = {
+                        id: event.node.id,
+                        entry: event.node.entry,
+                        children: [],
+                        level: parent ? parent.level + 1 : 0,
+                        isCurrent: false,
+                        isOnCurrentPath: false
+                    };
+                    if (parent) {
+                        parent.children.push(treeNode);
+                    } else {
+                        tabTree.tree = treeNode;
+                    }
+                    index.nodes.set(treeNode.id, treeNode);
+                    index.parents.set(treeNode.id, event.node.parentId);
+                    tabTree.nodeCount = index.nodes.size;
+                });
+
+            case 'entryUpdated': {
+                const change = this.applyToTab(event.tabId, (tabTree, index) => {
+                    const treeNode = index.nodes.get(event.nodeId);
+                    if (treeNode) treeNode.entry = event.entry;
+                    this.updateSessionHistory(tabTree, index);
+                });
+                return change.reload ? change : { ...change, entryOnly: true };
+            }
+
+            case 'cursorMoved':
+                return this.applyToTab(event.tabId, (tabTree, index) => {
+                    tabTree.stack = event.stack;
+                    tabTree.currentIndex = event.currentIndex;
+                    tabTree.lastUpdated = event.lastUpdated;
+                    this.updateSessionHistory(tabTree, index);
+                    this.markCurrentPath(index, event.currentNodeId);
+                });
+
+            case 'tabUpdated': {
+                const position = this.tabTrees.findIndex(tabTree => tabTree.tabId === event.tabId);
+                this.indexes.delete(event.tabId);
+                if (position === -1) {
+                    this.tabTrees.unshift(event.tabTree);
+                    return { tabIds: [event.tabId], structural: true };
+                }
+                this.tabTrees[position] = event.tabTree;
+                return { tabIds: [event.tabId], structural: false };
+            }
+
+            case 'tabClosed': {
+                const change = this.applyToTab(event.tabId, (tabTree) => {
+                    tabTree.isClosed = true;
+                    tabTree.isActive = false;
+                    tabTree.closedAt = event.closedAt;
+                    tabTree.pauseReason = null;
+                });
+                if (!change || change.reload) return change;
+                this.renameTabTree(event.tabId, event.closedTabId);
+                return { tabIds: [event.tabId, event.closedTabId], structural: true };
+            }
+
+            case 'tabsRemoved':
+                return this.removeTabs(tabTree => event.tabIds.includes(tabTree.tabId)) ||
+                    this.reportUntracked(event.tabIds, true);
+
+            case 'historyCleared':
+                return this.removeTabs(tabTree => event.scope === 'all' || tabTree.isClosed) ||
+                    this.reportUntracked([], true);
+
+            default:
+                console.log('Ignoring unknown history event:', event.type);
+                return null;
+        }
+    }
+
+    applyToTab(tabId, update) {
+        const tabTree = this.getTabTree(tabId);
+        if (!tabTree) {
+            // A tab we never saw, e.g. one created before the view loaded
+            return { reload: true };
+        }
+        update(tabTree, this.getIndex(tabTree));
+        return { tabIds: [tabId], structural: false };
+    }
+
+    removeTabs(shouldRemove) {
+        const removed = this.tabTrees.filter(shouldRemove).map(tabTree => tabTree.tabId);
+        if (removed.length === 0) return null;
+
+        removed.forEach(tabId => this.removeTabTree(tabId));
+        return { tabIds: removed, structural: true };
+    }
+
+    reportUntracked(tabIds, structural) {
+        // Nothing to patch, but a view keeping only some trees still lists the other tabs
+        return this.tabIds !== null ? { tabIds: tabIds, structural: structural, untracked: true } : null;
+    }
+
+    getIndex(tabTree) {
+        if (!this.indexes.has(tabTree.tabId)) {
+            const index = { nodes: new Map(), parents: new Map() };
+            const visit = (node, parentId) => {
+                index.nodes.set(node.id, node);
+                index.parents.set(node.id, parentId);
+                (node.children || []).forEach(child => visit(child, node.id));
+            };
+            if (tabTree.tree) visit(tabTree.tree, null);
+            this.indexes.set(tabTree.tabId, index);
+        }
+        return this.indexes.get(tabTree.tabId);
+    }
+
+    updateSessionHistory(tabTree, index) {
+        if (!tabTree.stack) return;
+        tabTree.sessionHistory = tabTree.stack
+            .filter(nodeId => index.nodes.has(nodeId))
+            .map(nodeId => index.nodes.get(nodeId).entry);
+    }
+
+    markCurrentPath(index, currentNodeId) {
+        for (const treeNode of index.nodes.values()) {
+            treeNode.isCurrent = false;
+            treeNode.isOnCurrentPath = false;
+        }
+        for (let nodeId = currentNodeId; nodeId !== null && index.nodes.has(nodeId); nodeId = index.parents.get(nodeId)) {
+            index.nodes.get(nodeId).isOnCurrentPath = true;
+        }
+        if (index.nodes.has(currentNodeId)) {
+            index.nodes.get(currentNodeId).isCurrent = true;
+        }
+    }
+}
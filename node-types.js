@@ -0,0 +1,59 @@
+// Tab History Tree Generator - Shared view helpers
+// Navigation type labels and formatting used by every page that shows nodes;
+// background.js decides the types.
+const NODE_TYPE_LABELS = {
+    'initial': 'Initial',
+    'root': 'Root',
+    'navigation': 'Navigation',
+    'activation': 'Activation',
+    'back': 'Back',
+    'forward': 'Forward',
+    'forward_back': 'Back/Forward',
+    'link': 'Link',
+    'typed': 'Typed',
+    'bookmark': 'Bookmark',
+    'form_submit': 'Form Submit',
+    'reload': 'Reload',
+    'redirect': 'Redirect',
+    'push_state': 'pushState',
+    'replace_state': 'replaceState',
+    'fragment': 'Fragment',
+    'generated': 'Search',
+    'keyword': 'Keyword',
+    'start_page': 'Start Page',
+    'auto_toplevel': 'Opened Externally'
+};
+
+function getNodeTypeLabel(type) {
+    return NODE_TYPE_LABELS[type] || type;
+}
+
+function getDomainFromUrl(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return url;
+    }
+}
+
+// Dwell times and other spans, e.g. "45s", "3m 20s", "5h 12m", "3d 4h"
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// The back/forward moves that reached a node (entry.arrivals), e.g. "Back 3×, Forward 1×"
+function formatArrivals(arrivals) {
+    if (!arrivals || arrivals.length === 0) return '';
+    const counts = { back: 0, forward: 0 };
+    arrivals.forEach(arrival => counts[arrival.direction]++);
+    return ['back', 'forward']
+        .filter(direction => counts[direction] > 0)
+        .map(direction => `${getNodeTypeLabel(direction)} ${counts[direction]}×`)
+        .join(', ');
+}
@@ -0,0 +1,155 @@
+// Tab History Tree Generator - Options page
+// Every input names its setting as data-setting="section.key"; changes are
+// saved straight away and the tracker picks them up through storage.onChanged.
+class TabHistoryOptions {
+    constructor() {
+        this.settings = null;
+        this.init();
+    }
+
+    async init() {
+        this.bindEvents();
+        await this.loadSettings();
+
+        // Keep the form in sync when settings change elsewhere (another options tab, a reset)
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.settings) {
+                this.loadSettings();
+            }
+        });
+    }
+
+    bindEvents() {
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('change', () => this.saveSetting(input));
+        });
+
+        document.getElementById('pruneBtn').addEventListener('click', () => {
+            this.pruneNow();
+        });
+
+        document.getElementById('applyPrivacyBtn').addEventListener('click', () => {
+            this.applyPrivacyRules();
+        });
+
+        document.getElementById('resetBtn').addEventListener('click', () => {
+            this.resetSettings();
+        });
+    }
+
+    async loadSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+            if (!response || !response.success) {
+                this.showStatus('Failed to load settings', true);
+                return;
+            }
+            this.settings = response.settings;
+            this.renderSettings();
+            this.showStatus('Settings are saved automatically.');
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.showStatus('Error loading settings', true);
+        }
+    }
+
+    renderSettings() {
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            const [section, key] = input.dataset.setting.split('.');
+            const value = this.settings[section][key];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (Array.isArray(value)) {
+                input.value = value.join('\n');
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    readInput(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'number') return Math.max(0, parseInt(input.value) || 0);
+        if (input.tagName === 'TEXTAREA') return input.value.split('\n').map(line => line.trim()).filter(line => line !== '');
+        return input.value;
+    }
+
+    async saveSetting(input) {
+        const [section, key] = input.dataset.setting.split('.');
+        const value = this.readInput(input);
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'updateSettings',
+                settings: { [section]: { [key]: value } }
+            });
+            if (!response || !response.success) {
+                this.showStatus('Failed to save: ' + (response && response.error || 'Unknown error'), true);
+                this.renderSettings();
+                return;
+            }
+            this.settings[section][key] = value;
+            this.showStatus('Saved.');
+        } catch (error) {
+            console.error('Error saving setting:', error);
+            this.showStatus('Error saving setting', true);
+        }
+    }
+
+    async pruneNow() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'pruneClosedTabs' });
+            if (response && response.success) {
+                this.showStatus(`${response.pruned} closed tab(s) pruned.`);
+            } else {
+                this.showStatus('Failed to prune closed tabs', true);
+            }
+        } catch (error) {
+            console.error('Error pruning closed tabs:', error);
+            this.showStatus('Error pruning closed tabs', true);
+        }
+    }
+
+    async applyPrivacyRules() {
+        if (!confirm('Remove or redact stored history that breaks the current privacy rules? This cannot be undone.')) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'applyPrivacyRules' });
+            if (response && response.success) {
+                this.showStatus(`Removed ${response.removedEntries} entries (${response.removedTabs} whole tab(s)) and redacted ${response.redactedEntries}.`);
+            } else {
+                this.showStatus('Failed to apply privacy rules', true);
+            }
+        } catch (error) {
+            console.error('Error applying privacy rules:', error);
+            this.showStatus('Error applying privacy rules', true);
+        }
+    }
+
+    async resetSettings() {
+        if (!confirm('Reset all settings to their defaults?')) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'resetSettings' });
+            if (response && response.success) {
+                this.settings = response.settings;
+                this.renderSettings();
+                this.showStatus('Settings reset to defaults.');
+            }
+        } catch (error) {
+            console.error('Error resetting settings:', error);
+            this.showStatus('Error resetting settings', true);
+        }
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new TabHistoryOptions();
+});
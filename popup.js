@@ -1,18 +1,75 @@
+const SESSION_HISTORY_ROW_HEIGHT = 18; // px, matches .session-history-entry
+const TREE_INDENT = 25; // px per tree level, matches .tree-node's padding
+
 class TabHistoryPopup {
     constructor() {
-        this.tabTrees = [];
+        this.tabSummaries = []; // one per tab, newest first; full trees are only fetched for expanded tabs
+        this.lineage = null;
+        this.expanded = new Set(); // ids of tabs whose sections are open
+        this.selectedTabIds = new Set(); // tabs ticked for export
+        this.searchTrees = null; // promise of every tab's tree, only while searching
+        this.searchTreesById = new Map();
+        this.currentTab = null;
+        this.view = 'tabs'; // 'tabs' or 'lineage'
+        this.search = null; // TreeSearch for the current query, null when not searching
+        this.searchResults = new Map(); // tabId -> {matches, paths} for tabs matching the search
+        this.collapsedNodes = new Map(); // tabId -> ids of the nodes whose branches are folded away
+        this.treeScrollTops = new Map(); // tabId -> scroll position of its tree, kept across redraws
+        this.lineageSpawned = new Map(); // tabId -> spawnedByNode of its lineage section
+        this.display = { defaultView: 'tabs', dateFormat: 'locale', showSessionHistory: true, nodeOrder: 'visit' };
+        this.pauseState = { global: false, windowIds: [], tabIds: [] };
+        this.traceRecording = null; // {startedAt, records, truncated} while a trace is being recorded
+        // In split mode an incognito popup talks to the incognito worker, which only knows incognito tabs
+        this.incognito = chrome.extension.inIncognitoContext === true;
+        this.windowId = null;
+        this.live = new LiveTabTrees((change) => this.handleLiveChange(change));
+        this.live.tabIds = new Set(); // patch only the trees of expanded tabs
+        this.pendingLiveChange = null;
+        this.sectionList = new VirtualList(document.getElementById('tabsContainer'), {
+            estimatedHeight: 85, // a collapsed section
+            getKey: (summary) => summary.tabId,
+            render: (summary) => this.renderSectionElement(summary)
+        });
         this.init();
     }
 
-    init() {
+    async init() {
         this.bindEvents();
-        this.loadTabTrees();
+        chrome.windows.getCurrent().then(currentWindow => {
+            this.windowId = currentWindow.id;
+        });
+        if (this.incognito) {
+            document.getElementById('incognitoBanner').hidden = false;
+            document.getElementById('tabsContainer').classList.add('incognito');
+        }
+        await this.loadDisplaySettings();
+        // Open on the tab the popup was opened from; the rest start collapsed
+        const currentTab = await this.getCurrentTab();
+        if (currentTab) this.expanded.add(currentTab.id);
+        await this.loadTabs();
+        // Subscribe only once there is a copy to patch
+        this.live.connect();
         this.checkStatus();
+        this.loadPauseState();
+        this.loadTraceStatus();
+    }
+
+    async loadDisplaySettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+            if (response && response.success) {
+                this.display = response.settings.display;
+                this.view = this.display.defaultView;
+                this.updateViewToggleButton();
+            }
+        } catch (error) {
+            console.error('Error loading display settings:', error);
+        }
     }
 
     bindEvents() {
         document.getElementById('refreshBtn').addEventListener('click', () => {
-            this.loadTabTrees();
+            this.loadTabs();
         });
 
         document.getElementById('optionsBtn').addEventListener('click', () => {
@@ -33,6 +90,68 @@ class TabHistoryPopup {
             this.hideOptionsMenu();
         });
 
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('importFileInput').click();
+            this.hideOptionsMenu();
+        });
+
+        document.getElementById('importFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // allow re-importing the same file
+            if (file) this.importData(file);
+        });
+
+        document.getElementById('pauseAllBtn').addEventListener('click', () => {
+            this.togglePause('global');
+        });
+
+        document.getElementById('pauseWindowBtn').addEventListener('click', () => {
+            this.togglePause('window');
+        });
+
+        document.getElementById('pauseTabBtn').addEventListener('click', () => {
+            this.togglePause('tab');
+        });
+
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+            this.hideOptionsMenu();
+        });
+
+        document.getElementById('traceBtn').addEventListener('click', () => {
+            this.toggleTrace();
+            this.hideOptionsMenu();
+        });
+
+        document.getElementById('replayBtn').addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('replay.html') });
+            this.hideOptionsMenu();
+        });
+
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            this.setSearchQuery(e.target.value);
+        });
+
+        document.getElementById('viewToggleBtn').addEventListener('click', () => {
+            this.toggleView();
+        });
+
+        document.getElementById('dashboardBtn').addEventListener('click', () => {
+            this.openDashboard();
+        });
+
+        document.getElementById('timelineBtn').addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('timeline.html') });
+        });
+
+        document.getElementById('analyticsBtn').addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('analytics.html') });
+        });
+
+        document.getElementById('sidePanelBtn').addEventListener('click', () => {
+            this.openSidePanel();
+        });
+
         document.getElementById('exportBtn').addEventListener('click', () => {
             this.exportData();
         });
@@ -47,6 +166,123 @@ class TabHistoryPopup {
         });
     }
 
+    async loadPauseState() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getPauseState' });
+            if (response && response.success) {
+                this.pauseState = response.pauseState;
+                await this.renderPauseControls();
+            }
+        } catch (error) {
+            console.error('Error loading pause state:', error);
+        }
+    }
+
+    async renderPauseControls() {
+        const currentTab = await this.getCurrentTab();
+        const windowPaused = !!currentTab && this.pauseState.windowIds.includes(currentTab.windowId);
+        const tabPaused = !!currentTab && this.pauseState.tabIds.includes(currentTab.id);
+
+        const setButton = (id, paused, pauseLabel, resumeLabel) => {
+            const button = document.getElementById(id);
+            button.textContent = paused ? resumeLabel : pauseLabel;
+            button.classList.toggle('paused', paused);
+        };
+        setButton('pauseAllBtn', this.pauseState.global, 'Pause All', 'Resume All');
+        setButton('pauseWindowBtn', windowPaused, 'Pause Window', 'Resume Window');
+        setButton('pauseTabBtn', tabPaused, 'Pause Tab', 'Resume Tab');
+        document.getElementById('pauseWindowBtn').disabled = !currentTab;
+        document.getElementById('pauseTabBtn').disabled = !currentTab;
+
+        const pausedScopes = [];
+        if (this.pauseState.global) pausedScopes.push('all tabs');
+        if (windowPaused) pausedScopes.push('this window');
+        if (tabPaused) pausedScopes.push('this tab');
+        document.getElementById('pauseStatus').textContent =
+            pausedScopes.length > 0 ? `Tracking paused for ${pausedScopes.join(', ')}` : '';
+    }
+
+    async togglePause(scope, id = null) {
+        if (id === null && scope !== 'global') {
+            const currentTab = await this.getCurrentTab();
+            if (!currentTab) return;
+            id = scope === 'window' ? currentTab.windowId : currentTab.id;
+        }
+
+        const pausedIds = scope === 'window' ? this.pauseState.windowIds : this.pauseState.tabIds;
+        const paused = scope === 'global' ? !this.pauseState.global : !pausedIds.includes(id);
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'setPaused', scope: scope, id: id, paused: paused });
+            if (response && response.success) {
+                this.pauseState = response.pauseState;
+                await this.renderPauseControls();
+            } else {
+                alert('Failed to change tracking: ' + (response && response.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Error changing pause state:', error);
+            alert('Error changing tracking');
+        }
+    }
+
+    async loadTraceStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getTraceStatus' });
+            if (response && response.success) {
+                this.renderTraceButton(response.recording);
+            }
+        } catch (error) {
+            console.error('Error loading trace status:', error);
+        }
+    }
+
+    renderTraceButton(recording) {
+        this.traceRecording = recording;
+        const button = document.getElementById('traceBtn');
+        button.textContent = recording ? `Stop & Download Trace (${recording.records})` : 'Record Trace';
+        button.classList.toggle('recording', !!recording);
+    }
+
+    async toggleTrace() {
+        try {
+            if (!this.traceRecording) {
+                if (!confirm('Record a trace of tab and navigation events? It holds the full URL of every page you visit until you stop it, including ones your privacy rules exclude, so check it before attaching it to an issue.')) {
+                    return;
+                }
+                const response = await chrome.runtime.sendMessage({ action: 'startTrace' });
+                if (!response || !response.success) {
+                    alert('Failed to start recording: ' + (response && response.error || 'Unknown error'));
+                    return;
+                }
+                this.renderTraceButton(response.recording);
+                return;
+            }
+
+            const response = await chrome.runtime.sendMessage({ action: 'stopTrace' });
+            this.renderTraceButton(null);
+            if (!response || !response.success) {
+                alert('Failed to stop recording: ' + (response && response.error || 'Unknown error'));
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(response.trace, null, 2)], {
+                type: 'application/json'
+            });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `tab-history-trace-${Date.now()}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error toggling trace recording:', error);
+            alert('Error recording trace');
+        }
+    }
+
     toggleOptionsMenu() {
         const optionsMenu = document.getElementById('optionsMenu');
         optionsMenu.classList.toggle('show');
@@ -57,16 +293,55 @@ class TabHistoryPopup {
         optionsMenu.classList.remove('show');
     }
 
-    async loadTabTrees() {
+    toggleView() {
+        this.view = this.view === 'tabs' ? 'lineage' : 'tabs';
+        this.updateViewToggleButton();
+        this.loadTabs();
+    }
+
+    updateViewToggleButton() {
+        document.getElementById('viewToggleBtn').textContent =
+            this.view === 'tabs' ? 'Lineage View' : 'Tab View';
+    }
+
+    async openDashboard() {
+        // Start on the current tab's tree when it has one
+        const currentTab = await this.getCurrentTab();
+        const tracked = currentTab && this.tabSummaries.some(summary => summary.tabId === currentTab.id);
+        const url = chrome.runtime.getURL(tracked ? `dashboard.html?tab=${currentTab.id}` : 'dashboard.html');
+        chrome.tabs.create({ url: url });
+    }
+
+    async openSidePanel() {
+        try {
+            // sidePanel.open() has to run straight from the click, so the window id is looked up in init()
+            await chrome.sidePanel.open({ windowId: this.windowId });
+            window.close();
+        } catch (error) {
+            console.error('Error opening side panel:', error);
+            alert('Could not open the side panel: ' + error.message);
+        }
+    }
+
+    setSearchQuery(query) {
+        const search = new TreeSearch(query, (type) => getNodeTypeLabel(type));
+        this.search = search.isEmpty ? null : search;
+        if (!this.search) this.searchTrees = null;
+        document.getElementById('searchInput').title = search.errors.join('\n');
+        this.displayTabTrees();
+    }
+
+    async loadTabs() {
         this.showLoading();
         
         try {
-            const response = await chrome.runtime.sendMessage({ action: 'getAllTabTrees' });
-            console.log('Received response:', response);
+            const response = await chrome.runtime.sendMessage({ action: 'getTabSummaries', view: this.view });
             
             if (response && response.success) {
-                this.tabTrees = response.tabTrees || [];
-                console.log('Tab trees data:', this.tabTrees);
+                this.tabSummaries = response.tabSummaries || [];
+                this.lineage = response.lineage || null;
+                this.searchTrees = null;
+                await this.loadExpandedTrees();
                 this.displayTabTrees();
                 this.updateStats();
             } else {
@@ -78,6 +353,156 @@ class TabHistoryPopup {
         }
     }
 
+    async loadExpandedTrees() {
+        const known = new Set(this.tabSummaries.map(summary => summary.tabId));
+        this.expanded = new Set([...this.expanded].filter(tabId => known.has(tabId)));
+        const tabTrees = await Promise.all([...this.expanded].map(tabId => this.fetchTabTree(tabId)));
+        this.live.setTabTrees(tabTrees.filter(tabTree => tabTree));
+    }
+
+    async fetchTabTree(tabId) {
+        const response = await chrome.runtime.sendMessage({ action: 'getTabTree', tabId: tabId });
+        return response && response.success ? response.tabTree : null;
+    }
+
+    // Only the tabs given are fetched again when tabIds is set; the lineage needs them all
+    async refreshTabSummaries(tabIds = null) {
+        const response = await chrome.runtime.sendMessage(tabIds
+            ? { action: 'getTabSummaries', tabIds: tabIds }
+            : { action: 'getTabSummaries', view: this.view });
+        if (!response || !response.success) return;
+
+        if (tabIds) {
+            const updated = new Map(response.tabSummaries.map(summary => [summary.tabId, summary]));
+            this.tabSummaries = this.tabSummaries.map(summary => updated.get(summary.tabId) || summary);
+        } else {
+            this.tabSummaries = response.tabSummaries || [];
+            this.lineage = response.lineage || null;
+        }
+    }
+
+    getSearchTrees() {
+        // A search looks inside every tree, so they are all fetched while a query is active
+        if (!this.searchTrees) {
+            this.searchTrees = chrome.runtime.sendMessage({ action: 'getAllTabTrees' })
+                .then(response => response && response.success ? response.tabTrees : []);
+        }
+        return this.searchTrees;
+    }
+
+    // The tree shown in a tab's section, or null while it is collapsed or loading
+    getSectionTree(tabId) {
+        if (this.search) return this.searchTreesById.get(tabId) || null;
+        return this.expanded.has(tabId) ? this.live.getTabTree(tabId) : null;
+    }
+
+    async toggleSection(tabId) {
+        if (this.expanded.has(tabId)) {
+            this.expanded.delete(tabId);
+            this.treeScrollTops.delete(tabId);
+            this.live.removeTabTree(tabId);
+            this.renderTabSection(tabId);
+            return;
+        }
+
+        this.expanded.add(tabId);
+        this.renderTabSection(tabId); // shows it loading
+        try {
+            const tabTree = await this.fetchTabTree(tabId);
+            if (!this.expanded.has(tabId)) return; // collapsed again meanwhile
+            if (tabTree) this.live.addTabTree(tabTree);
+        } catch (error) {
+            console.error('Error loading tab tree:', error);
+        }
+        this.renderTabSection(tabId);
+    }
+
+    handleLiveChange(change) {
+        // A navigation arrives as several events; draw once for all of them
+        if (!this.pendingLiveChange) {
+            this.pendingLiveChange = { reload: false, structural: false, tabIds: new Set(), refetchTabIds: new Set() };
+            requestAnimationFrame(() => {
+                const pending = this.pendingLiveChange;
+                this.pendingLiveChange = null;
+                this.applyLiveChange({
+                    ...pending,
+                    tabIds: Array.from(pending.tabIds),
+                    refetchTabIds: Array.from(pending.refetchTabIds)
+                });
+            });
+        }
+        this.pendingLiveChange.reload = this.pendingLiveChange.reload || !!change.reload;
+        this.pendingLiveChange.structural = this.pendingLiveChange.structural || !!change.structural;
+        (change.tabIds || []).forEach(tabId => {
+            this.pendingLiveChange.tabIds.add(tabId);
+            // An entry of an expanded tab changed: its summary can be worked out from the tree we have
+            if (!change.entryOnly) this.pendingLiveChange.refetchTabIds.add(tabId);
+        });
+    }
+
+    async applyLiveChange(change) {
+        if (change.reload) {
+            this.loadTabs();
+            this.checkStatus();
+            return;
+        }
+
+        this.searchTrees = null;
+        // An expanded tab whose tree was still loading when the change happened
+        for (const tabId of change.tabIds) {
+            if (this.expanded.has(tabId) && !this.live.getTabTree(tabId)) {
+                const tabTree = await this.fetchTabTree(tabId);
+                if (tabTree && this.expanded.has(tabId)) this.live.addTabTree(tabTree);
+            }
+        }
+
+        const known = new Set(this.tabSummaries.map(summary => summary.tabId));
+        if (change.structural || !change.tabIds.every(tabId => known.has(tabId))) {
+            await this.refreshTabSummaries();
+            this.displayTabTrees();
+        } else {
+            if (change.refetchTabIds.length > 0) await this.refreshTabSummaries(change.refetchTabIds);
+            change.tabIds
+                .filter(tabId => !change.refetchTabIds.includes(tabId))
+                .forEach(tabId => this.patchTabSummary(tabId));
+            change.tabIds.forEach(tabId => this.renderTabSection(tabId));
+        }
+        this.updateStats();
+    }
+
+    // Brings the page and time spent of an expanded tab's summary in line with its tree
+    patchTabSummary(tabId) {
+        const tabTree = this.live.getTabTree(tabId);
+        const index = this.tabSummaries.findIndex(summary => summary.tabId === tabId);
+        if (!tabTree || !tabTree.tree || index === -1) return;
+
+        let dwellTime = 0;
+        let current = null;
+        const visit = (node) => {
+            dwellTime += node.entry.dwellTime || 0;
+            if (node.isCurrent) current = node;
+            (node.children || []).forEach(visit);
+        };
+        visit(tabTree.tree);
+
+        const summary = { ...this.tabSummaries[index], dwellTime: dwellTime };
+        if (current) {
+            summary.url = current.entry.url;
+            summary.title = current.entry.title || null;
+        }
+        this.tabSummaries[index] = summary;
+    }
+
+    renderTabSection(tabId) {
+        if (this.search || this.view === 'lineage') {
+            // Lineage sections are nested inside each other, so they are all drawn again
+            this.displayTabTrees();
+            return;
+        }
+        const summary = this.tabSummaries.find(candidate => candidate.tabId === tabId);
+        if (summary) this.sectionList.refresh(summary);
+    }
+
     async getCurrentTab() {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -90,165 +515,466 @@ class TabHistoryPopup {
 
     async displayTabTrees() {
         const container = document.getElementById('tabsContainer');
-        const currentTab = await this.getCurrentTab();
+        this.currentTab = await this.getCurrentTab();
         
-        console.log('Displaying tab trees:', this.tabTrees);
-        
-        if (!this.tabTrees || this.tabTrees.length === 0) {
-            container.innerHTML = `
+        if (this.tabSummaries.length === 0) {
+            setHtml(container, html`
                 <div class="empty-state">
                     <h3>No Tab History Available</h3>
                     <p>Browse the web to see history trees for each tab.</p>
                     <p><small>Try navigating to different pages and using back/forward buttons.</small></p>
                 </div>
-            `;
+            `);
             return;
         }
 
-        container.innerHTML = this.tabTrees.map(tabTree => 
-            this.createTabSection(tabTree, currentTab)
-        ).join('');
+        this.searchResults = new Map();
+        if (this.search) {
+            const search = this.search;
+            const tabTrees = await this.getSearchTrees();
+            if (this.search !== search) return; // the query changed while the trees loaded
+
+            this.searchTreesById = new Map(tabTrees.map(tabTree => [tabTree.tabId, tabTree]));
+            for (const tabTree of tabTrees) {
+                const result = this.search.matchTab(tabTree);
+                if (result) this.searchResults.set(tabTree.tabId, result);
+            }
+            document.getElementById('status').textContent =
+                `${this.searchResults.size} of ${tabTrees.length} tabs match`;
+
+            if (this.searchResults.size === 0) {
+                setHtml(container, html`
+                    <div class="empty-state">
+                        <h3>No Matching History</h3>
+                        <p>Nothing matches "${this.search.query}".</p>
+                    </div>
+                `);
+                return;
+            }
+        }
+
+        if (this.view === 'lineage' && this.lineage) {
+            this.lineageSpawned.clear();
+            const summariesById = new Map(this.tabSummaries.map(summary => [summary.tabId, summary]));
+            setHtml(container, html`${this.lineage.map(lineageNode =>
+                this.createLineageSection(lineageNode, summariesById)
+            )}`);
+            this.bindSectionEvents(container);
+        } else {
+            this.sectionList.setItems(this.tabSummaries
+                .filter(summary => !this.search || this.searchResults.has(summary.tabId)));
+        }
+    }
 
-        // Add event listeners for refresh buttons
-        this.bindTabRefreshButtons();
-        this.bindDebugButtons();
+    renderSectionElement(summary) {
+        const section = createElementFromHtml(this.createTabSection(summary));
+        this.bindSectionEvents(section);
+        return section;
     }
 
-    createTabSection(tabTree, currentTab) {
-        const isCurrentTab = currentTab && tabTree.tabId === currentTab.id;
-        const isClosed = tabTree.isClosed || false;
+    bindSectionEvents(root) {
+        this.bindSectionToggles(root);
+        this.bindTabSelection(root);
+        this.bindTabRefreshButtons(root);
+        this.bindDebugButtons(root);
+        this.bindReopenButtons(root);
+        this.bindPinButtons(root);
+        this.bindTabPauseButtons(root);
+        this.bindSessionHistoryLists(root);
+        // Last: its rows bind the lineage sections nested in them themselves
+        this.bindTreeLists(root);
+    }
+
+    createLineageSection(lineageNode, summariesById) {
+        const summary = summariesById.get(lineageNode.tabId);
+        if (!summary) return null;
+        // While searching, keep non-matching tabs only as context for matching descendants
+        if (this.search && !this.hasLineageMatch(lineageNode)) return null;
+
+        // Tabs opened from this one, grouped by the node they were opened from
+        const spawnedByNode = new Map(); // node id -> [html] of the tabs opened from it
+        for (const child of lineageNode.children) {
+            const childHtml = html`
+                <div class="spawned-tab">
+                    ${this.createLineageSection(child, summariesById)}
+                </div>
+            `;
+            if (!spawnedByNode.has(child.openerNodeId)) spawnedByNode.set(child.openerNodeId, []);
+            spawnedByNode.get(child.openerNodeId).push(childHtml);
+        }
+
+        // The tree is drawn row by row later, and needs these to place the tabs among its nodes
+        this.lineageSpawned.set(lineageNode.tabId, spawnedByNode);
+        return this.createTabSection(summary, spawnedByNode);
+    }
+
+    hasLineageMatch(lineageNode) {
+        return this.searchResults.has(lineageNode.tabId) ||
+            lineageNode.children.some(child => this.hasLineageMatch(child));
+    }
+
+    // The header comes from the tab's summary; the tree is only drawn once the section is expanded
+    createTabSection(summary, spawnedByNode = null) {
+        const tabId = summary.tabId;
+        const isCurrentTab = this.currentTab && tabId === this.currentTab.id;
+        const isClosed = summary.isClosed || false;
+        const isExpanded = !!this.search || this.expanded.has(tabId);
+        const tabTree = isExpanded ? this.getSectionTree(tabId) : null;
         
-        let tabTitle = `Tab ${tabTree.tabId}`;
+        let tabTitle = `Tab ${tabId}`;
         if (isCurrentTab) tabTitle += ' (Current)';
-        if (isClosed) tabTitle += ' (Closed)';
+        if (isClosed) tabTitle += summary.importedAt ? ' (Imported)' : (summary.endedByRestart ? ' (Ended by restart)' : ' (Closed)');
+        if (isClosed && summary.pinned) tabTitle += ' (Kept)';
+        if (summary.pauseReason) tabTitle += ' (Paused)';
+        if (summary.opener && !spawnedByNode) tabTitle += ` (Opened from Tab ${summary.opener.tabId})`;
+        const pageTitle = summary.title || (summary.url ? getDomainFromUrl(summary.url) : '');
         
-        const lastUpdated = this.formatDateTime(tabTree.lastUpdated);
-        const creationTime = this.formatDateTime(tabTree.creationTime);
-        const closedTime = tabTree.closedAt ? this.formatDateTime(tabTree.closedAt) : '';
-        const sessionLength = tabTree.sessionHistory ? tabTree.sessionHistory.length : 0;
-        const currentPosition = (tabTree.currentIndex || 0) + 1;
-        
-        let treeContent = '';
-        if (tabTree.tree && tabTree.tree.entry) {
-            treeContent = this.renderTreeNode(tabTree.tree, 0);
-        } else if (tabTree.sessionHistory && tabTree.sessionHistory.length > 0) {
-            // If we have session history but no tree, show the linear history
-            treeContent = this.renderLinearHistory(tabTree);
-        } else {
+        const creationTime = this.formatDateTime(summary.creationTime);
+        const closedTime = summary.closedAt ? this.formatDateTime(summary.closedAt) : '';
+        const currentPosition = (summary.currentIndex || 0) + 1;
 
-            treeContent = '<div class="empty-state">No history data available</div>';
-            
+        let sectionContent = null;
+        if (!isExpanded) {
+            // The tabs opened from this one stay in view in the lineage
+            sectionContent = spawnedByNode ? Array.from(spawnedByNode.values()) : null;
+        } else if (!tabTree) {
+            sectionContent = html`
+                <div class="loading">Loading tree...</div>
+                ${spawnedByNode ? Array.from(spawnedByNode.values()) : ''}
+            `;
+        } else {
+            let treeContent;
+            if (tabTree.tree && tabTree.tree.entry) {
+                // The nodes themselves are drawn by bindTreeLists()
+                treeContent = html`<div class="tree-list" data-tab-id="${tabId}"></div>`;
+            } else if (tabTree.sessionHistory && tabTree.sessionHistory.length > 0) {
+                // If we have session history but no tree, show the linear history
+                treeContent = this.renderLinearHistory(tabTree);
+            } else {
+                treeContent = html`<div class="empty-state">No history data available</div>`;
+            }
+            sectionContent = html`
+                ${treeContent}
+                ${spawnedByNode ? this.renderUnplacedSpawnedTabs(tabTree, spawnedByNode) : ''}
+                ${this.renderSessionHistory(tabTree)}
+            `;
         }
         
-        return `
-            <div class="tab-section ${isCurrentTab ? 'current' : ''} ${isClosed ? 'closed' : ''}">
+        return html`
+            <div class="tab-section ${isCurrentTab ? 'current' : ''} ${isClosed ? 'closed' : ''} ${isExpanded ? '' : 'collapsed'}" data-tab-id="${tabId}" data-closed="${isClosed}">
                 <div class="tab-header">
-                    <span>${tabTitle}</span>
+                    <div class="tab-title" data-tab-id="${tabId}" title="${isExpanded ? 'Collapse' : 'Expand'}">
+                        <input type="checkbox" class="tab-select" data-tab-id="${tabId}" title="Select for export" ${this.selectedTabIds.has(tabId) ? 'checked' : ''}>
+                        <span class="section-toggle">${isExpanded ? '▾' : '▸'}</span>
+                        <span>${tabTitle}</span>
+                        <span class="tab-page" title="${summary.url || ''}">${pageTitle}</span>
+                    </div>
                     <span class="tab-stats">
                         <span>Created: ${creationTime}</span>
-                        ${isClosed && closedTime ? `<span>Closed: ${closedTime}</span>` : ''}
-                        <span>Entries: ${sessionLength}</span>
-                        <span>Position: ${currentPosition}/${sessionLength}</span>
-                        ${!isClosed ? `<button class="tab-refresh-btn" data-tab-id="${tabTree.tabId}">Refresh</button>` : ''}
-                        <button class="debug-btn" data-tab-id="${tabTree.tabId}">Debug</button>
+                        ${isClosed && closedTime ? html`<span>Closed: ${closedTime}</span>` : ''}
+                        <span>Entries: ${summary.nodeCount}</span>
+                        <span>Position: ${currentPosition}/${summary.sessionLength}</span>
+                        ${summary.dwellTime ? html`<span>Time spent: ${formatDuration(summary.dwellTime)}</span>` : ''}
+                        ${!isClosed ? html`<button class="tab-refresh-btn" data-tab-id="${tabId}">Refresh</button>` : ''}
+                        ${!isClosed ? html`<button class="tab-pause-btn" data-tab-id="${tabId}" data-paused="${summary.pauseReason === 'this tab'}" ${summary.pauseReason && summary.pauseReason !== 'this tab' ? html`disabled title="Paused for ${summary.pauseReason}"` : ''}>${summary.pauseReason === 'this tab' ? 'Resume' : 'Pause'}</button>` : ''}
+                        ${isClosed ? html`<button class="reopen-btn" data-tab-id="${tabId}">Reopen</button>` : ''}
+                        ${isClosed ? html`<button class="pin-btn" data-tab-id="${tabId}" data-pinned="${!!summary.pinned}" title="Kept tabs are never pruned">${summary.pinned ? 'Unkeep' : 'Keep'}</button>` : ''}
+                        <button class="debug-btn" data-tab-id="${tabId}">Debug</button>
                     </span>
                 </div>
-                <div class="tree-container">
-                    ${treeContent}
-                    ${this.renderSessionHistory(tabTree)}
-                </div>
+                ${sectionContent ? html`<div class="tree-container">${sectionContent}</div>` : ''}
             </div>
         `;
     }
 
-    renderTreeNode(node, level) {
-        if (!node || !node.entry) {
-            console.error('Invalid node in renderTreeNode:', node);
-            return '<div class="error">Invalid node data</div>';
+    renderUnplacedSpawnedTabs(tabTree, spawnedByNode) {
+        // Openers recorded against a node this tree no longer has (e.g. legacy data)
+        const nodeIds = new Set();
+        const collect = (node) => {
+            nodeIds.add(node.id);
+            (node.children || []).forEach(collect);
+        };
+        if (tabTree.tree) collect(tabTree.tree);
+
+        return Array.from(spawnedByNode.entries())
+            .filter(([nodeId]) => !nodeIds.has(nodeId))
+            .map(([, spawnedHtml]) => spawnedHtml);
+    }
+
+    bindTreeLists(root) {
+        root.querySelectorAll('.tree-list').forEach(listElement => {
+            const tabId = parseInt(listElement.dataset.tabId);
+            const tabTree = this.getSectionTree(tabId);
+            if (!tabTree) return;
+
+            const list = new VirtualList(listElement, {
+                estimatedHeight: 100, // a node without a gap or dwell bar
+                getKey: (row) => row.key,
+                render: (row) => this.renderTreeRow(tabId, row)
+            });
+            list.setItems(this.flattenTree(tabTree));
+
+            // The section is drawn again on every change to the tab; stay where the reader was
+            listElement.addEventListener('scroll', () => this.treeScrollTops.set(tabId, listElement.scrollTop));
+            const scrollTop = this.treeScrollTops.get(tabId);
+            if (scrollTop) requestAnimationFrame(() => { listElement.scrollTop = scrollTop; });
+        });
+    }
+
+    // The rows of a tab's tree that are showing, in order: its nodes with their depth,
+    // plus the tabs opened from a node (lineage) and notes about branches hidden by a search
+    flattenTree(tabTree) {
+        if (!tabTree.tree || !tabTree.tree.entry) return [];
+        const tabId = tabTree.tabId;
+        const searchResult = this.searchResults.get(tabId) || null;
+        const spawnedByNode = this.view === 'lineage' ? this.lineageSpawned.get(tabId) || null : null;
+        const collapsed = this.collapsedNodes.get(tabId) || new Set();
+        // Used to order and size nodes by time spent
+        const dwell = this.getDwellStats(tabTree.tree);
+
+        const rows = [];
+        // guides[i]: whether the line joining the siblings at depth i carries on below this row
+        const visit = (node, depth, guides, isLast) => {
+            // While searching, only expand branches that lead to a match
+            const children = node.children || [];
+            let visibleChildren = this.search
+                ? children.filter(child => searchResult && searchResult.paths.has(child.id))
+                : children;
+            if (this.display.nodeOrder === 'dwell') {
+                // Branch where the most time went first, counting time anywhere in the branch
+                visibleChildren = [...visibleChildren].sort((a, b) => dwell.subtree.get(b.id) - dwell.subtree.get(a.id));
+            }
+            const isCollapsed = collapsed.has(node.id) && visibleChildren.length > 0;
+            rows.push({ key: node.id, node: node, depth: depth, guides: guides, isLast: isLast, isCollapsed: isCollapsed, searchResult: searchResult, dwell: dwell });
+
+            const childGuides = [...guides, !isLast];
+            const spawnedHtml = spawnedByNode ? spawnedByNode.get(node.id) : null;
+            if (spawnedHtml) {
+                rows.push({ key: `spawned:${node.id}`, spawnedHtml: spawnedHtml, depth: depth + 1, guides: childGuides });
+            }
+            if (isCollapsed) return;
+
+            visibleChildren.forEach((child, index) => visit(child, depth + 1, childGuides, index === visibleChildren.length - 1));
+            const hiddenCount = children.length - visibleChildren.length;
+            if (hiddenCount > 0) {
+                rows.push({ key: `hidden:${node.id}`, hiddenCount: hiddenCount, depth: depth + 1, guides: childGuides });
+            }
+        };
+        visit(tabTree.tree, 0, [], true);
+        return rows;
+    }
+
+    renderTreeRow(tabId, row) {
+        const guidesHtml = row.guides.map((carriesOn, depth) =>
+            carriesOn ? html`<span class="tree-guide" style="left: ${depth * TREE_INDENT}px"></span>` : ''
+        );
+        let content;
+        if (row.spawnedHtml) {
+            content = row.spawnedHtml;
+        } else if (row.hiddenCount) {
+            content = html`<div class="hidden-branches">${row.hiddenCount} non-matching branch(es) hidden</div>`;
+        } else {
+            content = this.renderTreeNode(row);
         }
-        
-        const childrenHtml = (node.children || []).map(child => 
-            this.renderTreeNode(child, level + 1)
-        ).join('');
-        
-        const nodeType = this.getNodeTypeLabel(node.entry.type);
+
+        const element = createElementFromHtml(html`
+            <div class="tree-row" style="padding-left: ${row.depth * TREE_INDENT}px">
+                ${guidesHtml}
+                ${content}
+            </div>
+        `);
+        if (row.spawnedHtml) {
+            this.bindSectionEvents(element);
+        } else {
+            this.bindNodeLinks(element);
+            this.bindBranchToggles(element, tabId);
+        }
+        return element;
+    }
+
+    renderTreeNode({ node, depth, isLast, isCollapsed, searchResult, dwell }) {
+        const searchClass = searchResult && searchResult.matches.has(node.id) ? 'search-match' : '';
+        const nodeType = getNodeTypeLabel(node.entry.type);
+        const pathClass = node.isCurrent ? 'current' : (node.isOnCurrentPath ? 'on-path' : '');
+        const childCount = (node.children || []).length;
+        const branchClass = childCount > 1 ? 'has-branches' : '';
         const historyInfo = node.entry;
         const originalTime = this.formatDateTime(node.entry.timestamp);
-        const title = node.entry.title || this.getDomainFromUrl(node.entry.url);
+        const title = node.entry.title || getDomainFromUrl(node.entry.url);
+        // Pages can only be reached through http(s) links; anything else is shown but not linked
+        const href = safeHref(node.entry.url);
+        
+        const dwellTime = node.entry.dwellTime || 0;
+        const dwellHtml = dwellTime
+            ? html`<span class="dwell-time" title="Time this page was in front">⏱ ${formatDuration(dwellTime)}</span>`
+            : '';
+        // Bar length is relative to the node the most time went to in this tab
+        const dwellBarHtml = dwellTime && dwell.max
+            ? html`<div class="dwell-bar" style="width: ${Math.max(2, Math.round(100 * dwellTime / dwell.max))}%"></div>`
+            : '';
+        
+        // Every back/forward that reached this page, with the times in the tooltip
+        const arrivals = node.entry.arrivals || [];
+        const arrivalsHtml = arrivals.length > 0
+            ? html`<span class="nav-type traversal" title="${arrivals.map(arrival => `${getNodeTypeLabel(arrival.direction)}: ${this.formatDateTime(arrival.at)}`).join('\n')}">${formatArrivals(arrivals)}</span>`
+            : '';
         
-        return `
-            <div class="tree-node tree-level-${level}">
-                <div class="tree-content ${node.isCurrent ? 'current' : ''}">
-                    <a href="${node.entry.url}" target="_blank" class="url" title="${node.entry.url}">
+        const gapHtml = node.entry.missedNavigations
+            ? html`<div class="tracking-gap">⋯ ${node.entry.missedNavigations} navigation(s) not recorded while paused</div>`
+            : '';
+        
+        return html`
+            <div class="tree-node ${isLast ? 'last-sibling' : ''} ${branchClass}">
+                ${gapHtml}
+                <div class="tree-content ${pathClass} ${searchClass}">
+                    <a ${href ? html`href="${href}"` : ''} target="_blank" class="url" data-node-id="${node.id}" title="${node.entry.url}&#10;Click to go here in the tab, Ctrl/Shift-click to open in a new tab">
                         ${title}
                     </a>
                     <div class="meta">
                         <span class="timestamp" title="Original access time">${originalTime}</span>
+                        ${dwellHtml}
                         <span class="nav-type">${nodeType}</span>
+                        ${arrivalsHtml}
                     </div>
+                    ${dwellBarHtml}
                     <div class="history-info">
-                        <span class="history-badge">Level: ${level}</span>
-                        <span class="history-badge">Children: ${(node.children || []).length}</span>
+                        <span class="history-badge">Level: ${depth}</span>
+                        ${childCount > 0
+                            ? html`<button class="history-badge branch-toggle" data-node-id="${node.id}" title="${isCollapsed ? 'Show' : 'Hide'} the pages below this one">${isCollapsed ? '▸' : '▾'} Children: ${childCount}</button>`
+                            : html`<span class="history-badge">Children: 0</span>`}
                         <span class="history-badge">History Length: ${historyInfo.historyLength}</span>
-                        ${historyInfo.canGoBack ? '<span class="history-badge">Can Go Back</span>' : ''}
-                        ${historyInfo.canGoForward ? '<span class="history-badge">Can Go Forward</span>' : ''}
+                        ${historyInfo.reloadCount ? html`<span class="history-badge">Reloaded: ${historyInfo.reloadCount}x</span>` : ''}
+                        ${historyInfo.replaceCount ? html`<span class="history-badge">Replaced: ${historyInfo.replaceCount}x</span>` : ''}
+                        ${historyInfo.canGoBack ? html`<span class="history-badge">Can Go Back</span>` : ''}
+                        ${historyInfo.canGoForward ? html`<span class="history-badge">Can Go Forward</span>` : ''}
                     </div>
                 </div>
-                ${childrenHtml}
             </div>
         `;
     }
 
+    bindBranchToggles(root, tabId) {
+        root.querySelectorAll('.branch-toggle').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const nodeId = parseInt(e.currentTarget.dataset.nodeId);
+                if (!this.collapsedNodes.has(tabId)) this.collapsedNodes.set(tabId, new Set());
+                const collapsed = this.collapsedNodes.get(tabId);
+                if (collapsed.has(nodeId)) {
+                    collapsed.delete(nodeId);
+                } else {
+                    collapsed.add(nodeId);
+                }
+                this.renderTabSection(tabId);
+            });
+        });
+    }
+
+    getDwellStats(root) {
+        // subtree: node id -> time spent in that node and everything below it
+        const stats = { total: 0, max: 0, subtree: new Map() };
+        const visit = (node) => {
+            const own = node.entry.dwellTime || 0;
+            stats.max = Math.max(stats.max, own);
+            const total = (node.children || []).reduce((sum, child) => sum + visit(child), own);
+            stats.subtree.set(node.id, total);
+            return total;
+        };
+        stats.total = visit(root);
+        return stats;
+    }
+
     renderLinearHistory(tabTree) {
         if (!tabTree.sessionHistory || tabTree.sessionHistory.length === 0) {
-            return '<div class="empty-state">No session history available</div>';
+            return html`<div class="empty-state">No session history available</div>`;
         }
 
-        return `
+        return html`
             <div style="margin-bottom: 15px;">
                 <div style="font-weight: bold; margin-bottom: 10px; color: #666;">Linear History (Tree building in progress):</div>
                 ${tabTree.sessionHistory.map((entry, index) => {
                     const originalTime = this.formatDateTime(entry.timestamp);
-                    const title = entry.title || this.getDomainFromUrl(entry.url);
+                    const title = entry.title || getDomainFromUrl(entry.url);
                     const isCurrent = index === tabTree.currentIndex;
                     
-                    return `
+                    return html`
                         <div style="padding: 8px; margin: 2px 0; border: 1px solid #e0e0e0; border-radius: 4px; background: ${isCurrent ? '#e8f0fe' : 'white'}; ${isCurrent ? 'border-color: #4285f4; font-weight: bold;' : ''}">
                             <div><strong>${index + 1}. ${title}</strong></div>
                             <div style="font-size: 10px; color: #666; word-break: break-all;">${entry.url}</div>
-                            <div style="font-size: 9px; color: #888;">${originalTime} • ${this.getNodeTypeLabel(entry.type)}</div>
+                            <div style="font-size: 9px; color: #888;">${originalTime} • ${getNodeTypeLabel(entry.type)}</div>
                         </div>
                     `;
-                }).join('')}
+                })}
             </div>
         `;
     }
 
     renderSessionHistory(tabTree) {
-        if (!tabTree.sessionHistory || tabTree.sessionHistory.length === 0) return '';
+        if (!this.display.showSessionHistory) return null;
+        if (!tabTree.sessionHistory || tabTree.sessionHistory.length === 0) return null;
         
-        return `
+        // The entries themselves are drawn by bindSessionHistoryLists()
+        const listHeight = Math.min(tabTree.sessionHistory.length * SESSION_HISTORY_ROW_HEIGHT, 150);
+        return html`
             <div style="margin-top: 20px; padding: 10px; background: #f8f9fa; border-radius: 6px;">
                 <div style="font-weight: bold; margin-bottom: 10px; font-size: 12px;">
                     Raw Session History (${tabTree.sessionHistory.length} entries):
                 </div>
-                <div style="font-size: 11px; line-height: 1.4; max-height: 150px; overflow-y: auto;">
-                    ${tabTree.sessionHistory.map((entry, index) => {
-                        const originalTime = this.formatDateTime(entry.timestamp);
-                        const title = entry.title || this.getDomainFromUrl(entry.url);
-                        return `
-                            <div style="padding: 2px 0; ${index === tabTree.currentIndex ? 'font-weight: bold; color: #4285f4;' : ''}">
-                                ${index + 1}. ${title} 
-                                <span style="color: #666;" title="Original access time">(${originalTime})</span>
-                            </div>`;
-                    }).join('')}
-                </div>
+                <div class="session-history-list" data-tab-id="${tabTree.tabId}" style="height: ${listHeight}px;"></div>
             </div>
         `;
     }
 
-    bindTabRefreshButtons() {
-        const refreshButtons = document.querySelectorAll('.tab-refresh-btn');
+    bindSessionHistoryLists(root) {
+        root.querySelectorAll('.session-history-list').forEach(listElement => {
+            const tabTree = this.getSectionTree(parseInt(listElement.dataset.tabId));
+            if (!tabTree) return;
+
+            const list = new VirtualList(listElement, {
+                estimatedHeight: SESSION_HISTORY_ROW_HEIGHT,
+                getKey: (index) => index,
+                render: (index) => this.renderSessionHistoryEntry(tabTree, index)
+            });
+            list.setItems(tabTree.sessionHistory.map((entry, index) => index));
+        });
+    }
+
+    renderSessionHistoryEntry(tabTree, index) {
+        const entry = tabTree.sessionHistory[index];
+        const originalTime = this.formatDateTime(entry.timestamp);
+        const title = entry.title || getDomainFromUrl(entry.url);
+        return createElementFromHtml(html`
+            <div class="session-history-entry ${index === tabTree.currentIndex ? 'current' : ''}">
+                ${index + 1}. ${title} 
+                <span style="color: #666;" title="Original access time">(${originalTime})</span>
+            </div>`);
+    }
+
+    bindSectionToggles(root) {
+        root.querySelectorAll('.tab-title').forEach(title => {
+            title.addEventListener('click', (e) => {
+                // Search results are always open
+                if (this.search || e.target.closest('.tab-select')) return;
+                this.toggleSection(parseInt(title.dataset.tabId));
+            });
+        });
+    }
+
+    bindTabSelection(root) {
+        // Kept outside the DOM, since sections scrolled out of view are not drawn
+        root.querySelectorAll('.tab-select').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const tabId = parseInt(e.target.dataset.tabId);
+                if (e.target.checked) {
+                    this.selectedTabIds.add(tabId);
+                } else {
+                    this.selectedTabIds.delete(tabId);
+                }
+            });
+        });
+    }
+
+    bindTabRefreshButtons(root) {
+        const refreshButtons = root.querySelectorAll('.tab-refresh-btn');
         refreshButtons.forEach(button => {
             button.addEventListener('click', async (e) => {
                 const tabId = parseInt(e.target.dataset.tabId);
@@ -263,7 +989,7 @@ class TabHistoryPopup {
                     
                     if (response && response.success) {
                         // Reload all trees to get updated data
-                        await this.loadTabTrees();
+                        await this.loadTabs();
                     }
                 } catch (error) {
                     console.error('Error refreshing tab:', error);
@@ -275,8 +1001,106 @@ class TabHistoryPopup {
         });
     }
 
-    bindDebugButtons() {
-        const debugButtons = document.querySelectorAll('.debug-btn');
+    bindNodeLinks(root) {
+        // Rows are bound before they are placed in their section, so that is checked on click
+        const nodeLinks = root.querySelectorAll('.url[data-node-id]');
+        nodeLinks.forEach(link => {
+            link.addEventListener('click', async (e) => {
+                // Modifier-clicks keep the default open-in-new-tab behaviour
+                if (e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+                // Nested lineage sections: the closest section owns this node
+                const section = e.currentTarget.closest('.tab-section');
+                if (section.dataset.closed !== 'false') return;
+                e.preventDefault();
+
+                await this.navigateToNode(parseInt(section.dataset.tabId), parseInt(e.currentTarget.dataset.nodeId));
+            });
+        });
+    }
+
+    async navigateToNode(tabId, nodeId) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'navigateToNode',
+                tabId: tabId,
+                nodeId: nodeId
+            });
+
+            if (!response || !response.success) {
+                alert('Could not navigate tab: ' + (response && response.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Error navigating to node:', error);
+            alert('Error navigating to node');
+        }
+    }
+
+    bindReopenButtons(root) {
+        const reopenButtons = root.querySelectorAll('.reopen-btn');
+        reopenButtons.forEach(button => {
+            button.addEventListener('click', async (e) => {
+                const tabId = parseInt(e.target.dataset.tabId);
+                e.target.textContent = 'Reopening...';
+                e.target.disabled = true;
+
+                try {
+                    const response = await chrome.runtime.sendMessage({
+                        action: 'reopenClosedTab',
+                        tabId: tabId
+                    });
+
+                    if (response && response.success) {
+                        return;
+                    }
+                    alert('Failed to reopen tab: ' + (response && response.error || 'Unknown error'));
+                } catch (error) {
+                    console.error('Error reopening tab:', error);
+                    alert('Error reopening tab');
+                }
+
+                e.target.textContent = 'Reopen';
+                e.target.disabled = false;
+            });
+        });
+    }
+
+    bindPinButtons(root) {
+        const pinButtons = root.querySelectorAll('.pin-btn');
+        pinButtons.forEach(button => {
+            button.addEventListener('click', async (e) => {
+                const tabId = parseInt(e.target.dataset.tabId);
+                const pinned = e.target.dataset.pinned !== 'true';
+
+                try {
+                    const response = await chrome.runtime.sendMessage({
+                        action: 'setTabPinned',
+                        tabId: tabId,
+                        pinned: pinned
+                    });
+
+                    if (!response || !response.success) {
+                        alert('Failed to update tab: ' + (response && response.error || 'Unknown error'));
+                    }
+                } catch (error) {
+                    console.error('Error pinning tab:', error);
+                    alert('Error updating tab');
+                }
+            });
+        });
+    }
+
+    bindTabPauseButtons(root) {
+        const pauseButtons = root.querySelectorAll('.tab-pause-btn');
+        pauseButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.togglePause('tab', parseInt(e.target.dataset.tabId));
+            });
+        });
+    }
+
+    bindDebugButtons(root) {
+        const debugButtons = root.querySelectorAll('.debug-btn');
         debugButtons.forEach(button => {
             button.addEventListener('click', async (e) => {
                 const tabId = parseInt(e.target.dataset.tabId);
@@ -318,7 +1142,6 @@ class TabHistoryPopup {
             const response = await chrome.runtime.sendMessage({ action: 'clearClosedTabs' });
             
             if (response && response.success) {
-                await this.loadTabTrees(); // Reload to reflect changes
                 this.checkStatus();
                 alert('Closed tab histories cleared successfully');
             } else {
@@ -339,9 +1162,6 @@ class TabHistoryPopup {
             const response = await chrome.runtime.sendMessage({ action: 'clearHistory' });
             
             if (response && response.success) {
-                this.tabTrees = [];
-                this.displayTabTrees();
-                this.updateStats();
                 this.checkStatus();
                 alert('All history cleared successfully');
             } else {
@@ -353,39 +1173,37 @@ class TabHistoryPopup {
         }
     }
 
-    getNodeTypeLabel(type) {
-        const labels = {
-            'initial': 'Initial',
-            'root': 'Root',
-            'navigation': 'Navigation',
-            'activation': 'Activation',
-            'back': 'Back',
-            'forward': 'Forward'
-        };
-        return labels[type] || type;
-    }
-
-    getDomainFromUrl(url) {
-        try {
-            const urlObj = new URL(url);
-            return urlObj.hostname;
-        } catch (e) {
-            return url;
-        }
-    }
-
     formatDateTime(timestamp) {
         if (!timestamp || isNaN(timestamp)) {
             return 'Unknown';
         }
         try {
             const date = new Date(timestamp);
-            return date.toLocaleString();
+            switch (this.display.dateFormat) {
+                case 'iso':
+                    return date.toISOString();
+                case 'relative':
+                    return this.formatRelativeTime(date);
+                default:
+                    return date.toLocaleString();
+            }
         } catch (e) {
             return 'Invalid Date';
         }
     }
 
+    formatRelativeTime(date) {
+        const seconds = Math.round((date.getTime() - Date.now()) / 1000);
+        const units = [['year', 31536000], ['month', 2592000], ['day', 86400], ['hour', 3600], ['minute', 60]];
+        const formatter = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+        for (const [unit, size] of units) {
+            if (Math.abs(seconds) >= size) {
+                return formatter.format(Math.round(seconds / size), unit);
+            }
+        }
+        return formatter.format(seconds, 'second');
+    }
+
     async checkStatus() {
         try {
             const response = await chrome.runtime.sendMessage({ action: 'getStatus' });
@@ -408,46 +1226,47 @@ class TabHistoryPopup {
     }
 
     updateStats() {
-        const activeTabs = this.tabTrees.filter(tab => !tab.isClosed).length;
-        const closedTabs = this.tabTrees.filter(tab => tab.isClosed).length;
-        const totalEntries = this.tabTrees.reduce((sum, tab) => 
-            sum + (tab.sessionHistory ? tab.sessionHistory.length : 0), 0
-        );
+        const activeTabs = this.tabSummaries.filter(tab => !tab.isClosed).length;
+        const closedTabs = this.tabSummaries.filter(tab => tab.isClosed).length;
+        const totalEntries = this.tabSummaries.reduce((sum, tab) => sum + (tab.nodeCount || 0), 0);
         
         document.getElementById('totalTabs').textContent = 
-            `${this.tabTrees.length} total tabs (${activeTabs} active, ${closedTabs} closed)`;
+            `${this.tabSummaries.length} total tabs (${activeTabs} active, ${closedTabs} closed)`;
         document.getElementById('status').textContent = 
             `${totalEntries} total entries`;
     }
 
     showLoading() {
-        document.getElementById('tabsContainer').innerHTML = `
+        setHtml(document.getElementById('tabsContainer'), html`
             <div class="loading">Loading tab history trees...</div>
-        `;
+        `);
     }
 
     showError(message) {
-        document.getElementById('tabsContainer').innerHTML = `
+        setHtml(document.getElementById('tabsContainer'), html`
             <div class="error">${message}</div>
-        `;
+        `);
     }
 
     async exportData() {
         try {
-            const data = {
-                tabTrees: this.tabTrees,
-                exportTime: new Date().toISOString(),
-                version: '1.0'
-            };
-            
-            const blob = new Blob([JSON.stringify(data, null, 2)], { 
-                type: 'application/json' 
+            const format = document.getElementById('exportFormat').value;
+            const tabTrees = await this.getExportSelection(document.getElementById('exportScope').value);
+            if (tabTrees.length === 0) {
+                alert('No tabs to export. Tick the checkbox on the tabs you want, or choose another scope.');
+                return;
+            }
+
+            const exporter = new TreeExporter(tabTrees, (type) => getNodeTypeLabel(type));
+            const { extension, mimeType } = TreeExporter.formats[format];
+            const blob = new Blob([exporter.export(format)], { 
+                type: mimeType 
             });
             
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `tab-history-export-${Date.now()}.json`;
+            a.download = `tab-history-export-${Date.now()}.${extension}`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -459,6 +1278,52 @@ class TabHistoryPopup {
         }
     }
 
+    async getExportSelection(scope) {
+        // Only expanded tabs have their trees here, so the ones to export are fetched
+        if (scope === 'current') {
+            const currentTab = await this.getCurrentTab();
+            const tabTree = currentTab ? await this.fetchTabTree(currentTab.id) : null;
+            return tabTree && !tabTree.isClosed ? [tabTree] : [];
+        }
+        if (scope === 'selected') {
+            const selected = this.tabSummaries.filter(summary => this.selectedTabIds.has(summary.tabId));
+            const tabTrees = await Promise.all(selected.map(summary => this.fetchTabTree(summary.tabId)));
+            return tabTrees.filter(tabTree => tabTree);
+        }
+        const response = await chrome.runtime.sendMessage({ action: 'getAllTabTrees' });
+        return response && response.success ? response.tabTrees : [];
+    }
+
+    async importData(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            alert(`Could not read ${file.name}: not a valid JSON file`);
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'importHistory', data: data });
+
+            if (response && response.success) {
+                let summary = `Imported ${response.added} tab(s), skipped ${response.skipped} already present`;
+                if (response.rejected.length > 0) {
+                    summary += `, rejected ${response.rejected.length}:\n` + response.rejected
+                        .map(rejected => `  #${rejected.index + 1} (Tab ${rejected.tabId}): ${rejected.reason}`)
+                        .join('\n');
+                }
+                this.checkStatus();
+                alert(summary);
+            } else {
+                alert('Import failed: ' + (response && response.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Error importing data:', error);
+            alert('Error importing data');
+        }
+    }
+
     truncateUrl(url, maxLength = 70) {
         if (url.length <= maxLength) return url;
         return url.substring(0, maxLength) + '...';
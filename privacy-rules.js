@@ -0,0 +1,88 @@
+// Tab History Tree Generator - Privacy rules
+// Decides which URLs may be recorded at all and strips the parts of a URL
+// that shouldn't be kept. Built from the `privacy` settings section.
+//
+// Domain patterns are globs: `bank.com` also covers its subdomains, `*` matches
+// any run of characters, and a pattern with a `/` is matched against host + path
+// (e.g. `example.com/admin/*`).
+class PrivacyRules {
+    constructor(privacy) {
+        this.denyList = this.compilePatterns(privacy.denyList);
+        this.allowList = this.compilePatterns(privacy.allowList);
+        this.stripParams = privacy.stripParams.map(name => this.globToRegExp(name.trim(), 'i'));
+        this.stripFragments = privacy.stripFragments;
+        this.storeHistoryState = privacy.storeHistoryState;
+    }
+
+    isAllowed(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return false;
+        }
+
+        if (this.denyList.some(pattern => this.matchesPattern(pattern, parsed))) return false;
+        // An empty allow list allows everything that isn't denied
+        return this.allowList.length === 0 || this.allowList.some(pattern => this.matchesPattern(pattern, parsed));
+    }
+
+    redactUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return url;
+        }
+
+        let changed = false;
+        if (this.stripParams.length > 0) {
+            for (const name of [...new Set(parsed.searchParams.keys())]) {
+                if (this.stripParams.some(pattern => pattern.test(name))) {
+                    parsed.searchParams.delete(name);
+                    changed = true;
+                }
+            }
+        }
+        if (this.stripFragments && parsed.hash) {
+            parsed.hash = '';
+            changed = true;
+        }
+
+        // Only re-serialise when something was removed, so untouched URLs stay byte-for-byte equal
+        return changed ? parsed.href : url;
+    }
+
+    redactState(state) {
+        return this.storeHistoryState ? state : null;
+    }
+
+    compilePatterns(patterns) {
+        return patterns
+            .map(pattern => pattern.trim().toLowerCase().replace(/^[a-z]+:\/\//, ''))
+            .filter(pattern => pattern !== '')
+            .map(pattern => {
+                const slash = pattern.indexOf('/');
+                const host = slash === -1 ? pattern : pattern.slice(0, slash);
+                const path = slash === -1 ? null : pattern.slice(slash);
+                return {
+                    host: this.globToRegExp(host.replace(/^\*\./, '')),
+                    path: path === null ? null : this.globToRegExp(path)
+                };
+            });
+    }
+
+    matchesPattern(pattern, parsed) {
+        const hostname = parsed.hostname.toLowerCase();
+        const labels = hostname.split('.');
+        // Try the hostname and each parent domain so `bank.com` covers `www.bank.com`
+        const hostMatches = labels.some((label, index) => pattern.host.test(labels.slice(index).join('.')));
+        if (!hostMatches) return false;
+        return pattern.path === null || pattern.path.test(parsed.pathname.toLowerCase());
+    }
+
+    globToRegExp(glob, flags = '') {
+        const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`, flags);
+    }
+}
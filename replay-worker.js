@@ -0,0 +1,232 @@
+// Tab History Tree Generator - Trace replay worker
+// Loads background.js against a stand-in for the chrome API built from a recorded
+// trace (see TabHistoryTracker.startTrace()), feeds the fresh tracker the recorded
+// events in order and posts back the trees it ends up with. Runs in its own worker
+// so the tracker gets its own globals and never touches the real browser.
+const REPLAY_SUPPORTED_TRACE_VERSIONS = ['1.0'];
+
+class ReplayChrome {
+    constructor(trace) {
+        this.listeners = new Map(); // event name -> listeners the tracker registered
+        this.answers = new Map(); // call key -> recorded answers, oldest first
+        this.unanswered = []; // {call, args} the trace had no answer for
+        this.started = false; // set once the tracker is up and the recorded events are being fed in
+        this.storageEvents = []; // storage.onChanged dispatches not yet settled
+        this.tabs = trace.tabs || []; // the tabs open when recording started
+        this.storage = {
+            local: { settings: trace.settings },
+            session: { pauseState: trace.pauseState } // PAUSE_STATE_KEY in background.js
+        };
+
+        for (const record of trace.records) {
+            if (!record.call) continue;
+            const key = this.getCallKey(record.call, record.args);
+            if (!this.answers.has(key)) this.answers.set(key, []);
+            this.answers.get(key).push(record);
+        }
+
+        this.api = this.createApi();
+    }
+
+    getCallKey(call, args) {
+        return `${call}:${JSON.stringify(args)}`;
+    }
+
+    // The next recorded answer to a call, in the order the tracker originally got them
+    async answer(call, args, fallback) {
+        const answers = this.answers.get(this.getCallKey(call, args));
+        if (!answers || answers.length === 0) {
+            this.unanswered.push({ call: call, args: args });
+            return fallback();
+        }
+
+        const record = answers.shift();
+        if (record.error !== undefined) throw new Error(record.error);
+        return record.result;
+    }
+
+    async dispatch(record) {
+        const listeners = this.listeners.get(record.event) || [];
+        if (record.event === 'runtime.onMessage') {
+            // Recorded messages from the views; wait for the answer like the view did
+            await Promise.all(listeners.map(listener => new Promise(resolve => {
+                if (listener(...record.args, {}, resolve) !== true) resolve();
+            })));
+            return;
+        }
+        await Promise.all(listeners.map(listener => listener(...record.args)));
+    }
+
+    createEvent(name) {
+        return {
+            addListener: (listener) => {
+                if (!this.listeners.has(name)) this.listeners.set(name, []);
+                this.listeners.get(name).push(listener);
+            }
+        };
+    }
+
+    // Like the browser, tells storage.onChanged listeners about every write without the
+    // write waiting for them (the tracker's listeners wait for it to finish starting up)
+    notifyStorageChanged(area, changes) {
+        this.storageEvents.push(this.dispatch({ event: 'storage.onChanged', args: [changes, area] }));
+    }
+
+    // Waits for the listeners of every write so far, e.g. before the next recorded event
+    async settleStorageEvents() {
+        while (this.storageEvents.length > 0) {
+            await Promise.all(this.storageEvents.splice(0));
+        }
+    }
+
+    createStorageArea(area) {
+        const data = this.storage[area];
+        return {
+            get: async (keys) => {
+                const result = {};
+                for (const key of keys) {
+                    if (data[key] !== undefined) result[key] = data[key];
+                }
+                return result;
+            },
+            set: async (items) => {
+                const changes = {};
+                for (const [key, value] of Object.entries(items)) {
+                    changes[key] = { oldValue: data[key], newValue: value };
+                }
+                Object.assign(data, items);
+                this.notifyStorageChanged(area, changes);
+            },
+            remove: async (keys) => {
+                const changes = {};
+                for (const key of [].concat(keys)) {
+                    if (data[key] === undefined) continue;
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                }
+                this.notifyStorageChanged(area, changes);
+            }
+        };
+    }
+
+    createApi() {
+        const unavailable = (name) => async () => {
+            throw new Error(`${name} is not available in a replay`);
+        };
+        const noop = () => Promise.resolve();
+
+        return {
+            // Makes the tracker keep everything in a SessionHistoryStore, i.e. in the stub's storage
+            extension: { inIncognitoContext: true },
+            runtime: {
+                sendMessage: noop,
+                onConnect: this.createEvent('runtime.onConnect'),
+                onMessage: this.createEvent('runtime.onMessage')
+            },
+            tabs: {
+                get: (tabId) => this.answer('tabs.get', [tabId], () => {
+                    throw new Error(`No tab with id: ${tabId}.`);
+                }),
+                // While the tracker starts up, asking for every tab gets the tabs open when
+                // recording started; later queries get the recorded answers
+                query: async (queryInfo) => !this.started && Object.keys(queryInfo).length === 0 ? this.tabs
+                    : this.answer('tabs.query', [queryInfo], () => []),
+                create: (createProperties) => this.answer('tabs.create', [createProperties], unavailable('tabs.create')),
+                update: (tabId, updateProperties) => this.answer('tabs.update', [tabId, updateProperties], unavailable('tabs.update')),
+                onCreated: this.createEvent('tabs.onCreated'),
+                onUpdated: this.createEvent('tabs.onUpdated'),
+                onActivated: this.createEvent('tabs.onActivated'),
+                onRemoved: this.createEvent('tabs.onRemoved'),
+                onAttached: this.createEvent('tabs.onAttached'),
+                onMoved: this.createEvent('tabs.onMoved')
+            },
+            webNavigation: {
+                onCommitted: this.createEvent('webNavigation.onCommitted'),
+                onHistoryStateUpdated: this.createEvent('webNavigation.onHistoryStateUpdated'),
+                onReferenceFragmentUpdated: this.createEvent('webNavigation.onReferenceFragmentUpdated'),
+                onCreatedNavigationTarget: this.createEvent('webNavigation.onCreatedNavigationTarget')
+            },
+            // Recorded under the name of the injected function, with the tab id first
+            scripting: {
+                executeScript: (injection) => this.answer(injection.func.name, [injection.target.tabId, ...(injection.args || [])], () => {
+                    throw new Error(`No recorded result for ${injection.func.name} in tab ${injection.target.tabId}`);
+                })
+            },
+            // No window is ever focused, so no dwell time is credited during a replay
+            windows: {
+                WINDOW_ID_NONE: -1,
+                getLastFocused: async () => ({ id: -1, focused: false }),
+                getAll: async () => [],
+                onFocusChanged: this.createEvent('windows.onFocusChanged'),
+                onRemoved: this.createEvent('windows.onRemoved')
+            },
+            idle: {
+                setDetectionInterval: () => {},
+                queryState: async () => 'active',
+                onStateChanged: this.createEvent('idle.onStateChanged')
+            },
+            sessions: {
+                getRecentlyClosed: () => this.answer('sessions.getRecentlyClosed', [], () => []),
+                restore: (sessionId) => this.answer('sessions.restore', [sessionId], unavailable('sessions.restore'))
+            },
+            storage: {
+                local: this.createStorageArea('local'),
+                session: this.createStorageArea('session'),
+                onChanged: this.createEvent('storage.onChanged')
+            },
+            alarms: {
+                get: async () => undefined,
+                create: noop,
+                onAlarm: this.createEvent('alarms.onAlarm')
+            },
+            action: {
+                setBadgeText: noop,
+                setBadgeBackgroundColor: noop,
+                setTitle: noop
+            }
+        };
+    }
+}
+
+async function replayTrace(trace) {
+    if (!trace || !Array.isArray(trace.records)) {
+        throw new Error('Not a trace file');
+    }
+    if (!REPLAY_SUPPORTED_TRACE_VERSIONS.includes(trace.version)) {
+        throw new Error(`Unsupported trace version: ${trace.version}`);
+    }
+
+    const replayChrome = new ReplayChrome(trace);
+    self.chrome = replayChrome.api;
+    importScripts('background.js');
+    await tracker.ready;
+    await replayChrome.settleStorageEvents();
+    replayChrome.started = true;
+
+    // One event at a time: the handlers of one finish before the next is delivered
+    let events = 0;
+    for (const record of trace.records) {
+        if (!record.event) continue;
+        await replayChrome.dispatch(record);
+        await replayChrome.settleStorageEvents();
+        events++;
+    }
+
+    await tracker.loadClosedTabs();
+    return {
+        events: events,
+        tabTrees: tracker.getAllTabTrees(),
+        unanswered: replayChrome.unanswered
+    };
+}
+
+// Each worker replays a single trace, so every replay gets a fresh tracker
+self.addEventListener('message', async (event) => {
+    try {
+        const result = await replayTrace(event.data.trace);
+        self.postMessage({ success: true, ...result });
+    } catch (error) {
+        console.error('Error replaying trace:', error);
+        self.postMessage({ success: false, error: error.message });
+    }
+});
@@ -0,0 +1,149 @@
+// Tab History Tree Generator - Trace replay
+// Opens a trace recorded from the popup and shows the trees a fresh tracker
+// builds from it. The replay itself runs in replay-worker.js.
+class TabHistoryReplay {
+    constructor() {
+        this.worker = null;
+        this.init();
+    }
+
+    init() {
+        document.getElementById('openTraceBtn').addEventListener('click', () => {
+            document.getElementById('traceFileInput').click();
+        });
+
+        document.getElementById('traceFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // allow opening the same file again
+            if (file) this.openTrace(file);
+        });
+    }
+
+    async openTrace(file) {
+        const status = document.getElementById('status');
+        let trace;
+        try {
+            trace = JSON.parse(await file.text());
+        } catch (error) {
+            status.textContent = `${file.name} is not valid JSON`;
+            return;
+        }
+
+        status.textContent = `Replaying ${file.name}...`;
+        try {
+            const result = await this.replay(trace);
+            if (!result.success) {
+                status.textContent = 'Replay failed: ' + result.error;
+                return;
+            }
+            this.renderTraceInfo(trace, result);
+            this.renderTabTrees(result.tabTrees);
+            status.textContent = `Replayed ${file.name}`;
+        } catch (error) {
+            console.error('Error replaying trace:', error);
+            status.textContent = 'Replay failed: ' + error.message;
+        }
+    }
+
+    replay(trace) {
+        // A new worker per trace, so nothing carries over from the previous replay
+        if (this.worker) this.worker.terminate();
+        this.worker = new Worker('replay-worker.js');
+        return new Promise((resolve, reject) => {
+            this.worker.addEventListener('message', (e) => resolve(e.data));
+            this.worker.addEventListener('error', (e) => reject(new Error(e.message)));
+            this.worker.postMessage({ trace: trace });
+        });
+    }
+
+    renderTraceInfo(trace, result) {
+        const lines = [
+            `Recorded ${new Date(trace.startedAt).toLocaleString()}` +
+                (trace.stoppedAt ? ` for ${formatDuration(trace.stoppedAt - trace.startedAt)}` : ''),
+            `${result.events} events replayed over ${(trace.tabs || []).length} tabs open at the start`,
+            `Browser: ${trace.userAgent || 'unknown'}`
+        ];
+
+        const info = document.getElementById('traceInfo');
+        info.replaceChildren(...lines.map(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            return line;
+        }));
+
+        const warnings = [];
+        if (trace.truncated) {
+            warnings.push('The recording hit its size limit; later events are missing.');
+        }
+        if (result.unanswered.length > 0) {
+            // The tracker asked something the original run didn't, so the replay has diverged
+            const calls = result.unanswered.map(({ call, args }) => `${call}(${args.map(arg => JSON.stringify(arg)).join(', ')})`);
+            warnings.push(`${calls.length} call(s) had no recorded answer: ${calls.join(', ')}`);
+        }
+        for (const text of warnings) {
+            const warning = document.createElement('div');
+            warning.className = 'warning';
+            warning.textContent = text;
+            info.appendChild(warning);
+        }
+        info.hidden = false;
+    }
+
+    renderTabTrees(tabTrees) {
+        const container = document.getElementById('trees');
+        const withTrees = tabTrees.filter(tabTree => tabTree.tree);
+        if (withTrees.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'The replay produced no trees.';
+            container.replaceChildren(empty);
+            return;
+        }
+
+        container.replaceChildren(...withTrees.map(tabTree => {
+            const card = document.createElement('div');
+            card.className = 'card';
+            const heading = document.createElement('h2');
+            const state = tabTree.isClosed ? ' (Closed)' : '';
+            heading.textContent = `Tab ${tabTree.tabId}${state} · ${tabTree.nodeCount} entries`;
+            card.append(heading, this.renderTreeNode(tabTree.tree));
+            return card;
+        }));
+    }
+
+    renderTreeNode(node) {
+        const element = document.createElement('div');
+        element.className = 'tree-node';
+        if ((node.children || []).length > 1) element.classList.add('has-branches');
+
+        const content = document.createElement('div');
+        content.className = 'tree-content';
+        if (node.isCurrent) content.classList.add('current');
+        else if (node.isOnCurrentPath) content.classList.add('on-path');
+        content.title = node.entry.url;
+
+        const title = document.createElement('div');
+        title.className = 'node-title';
+        title.textContent = node.entry.title || getDomainFromUrl(node.entry.url);
+        const meta = document.createElement('div');
+        meta.className = 'node-meta';
+        meta.textContent = `#${node.id} · ${this.formatTime(node.entry.timestamp)} · ${getNodeTypeLabel(node.entry.type)} · ${node.entry.url}`;
+        content.append(title, meta);
+        element.appendChild(content);
+
+        for (const child of node.children || []) {
+            element.appendChild(this.renderTreeNode(child));
+        }
+        return element;
+    }
+
+    formatTime(timestamp) {
+        if (!timestamp || isNaN(timestamp)) return 'Unknown';
+        return new Date(timestamp).toLocaleTimeString();
+    }
+}
+
+// Initialize the replay page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new TabHistoryReplay();
+});
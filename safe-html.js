@@ -0,0 +1,67 @@
+// Tab History Tree Generator - Safe HTML
+// Titles and URLs are whatever the visited pages (or an imported file) say they
+// are. Views that build markup do it with the html`` tag, which escapes every
+// interpolated value unless it is html`` output itself, put it on the page with
+// setHtml(), and only link to pages through safeHref().
+const SAFE_HREF_PROTOCOLS = ['http:', 'https:'];
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Arrays are joined, null/undefined render as nothing. Booleans print as text,
+// since attributes like data-closed="${isClosed}" are read back as 'true'/'false'.
+function renderHtmlValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (value === null || value === undefined) return '';
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += renderHtmlValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+function setHtml(element, content) {
+    if (!(content instanceof SafeHtml)) {
+        throw new TypeError('setHtml() only takes html`` output');
+    }
+    element.innerHTML = content.markup;
+}
+
+// The URL when a link may point at it, otherwise null
+function safeHref(url) {
+    try {
+        return SAFE_HREF_PROTOCOLS.includes(new URL(url).protocol) ? url : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// The single element html`` output describes, e.g. one row of a list
+function createElementFromHtml(content) {
+    const template = document.createElement('template');
+    setHtml(template, content);
+    return template.content.firstElementChild;
+}
@@ -0,0 +1,158 @@
+// Tab History Tree Generator - Session persistence for incognito
+// Same interface as HistoryStore, but kept in chrome.storage.session, which lives
+// in memory only and is never written to disk. Unlike the worker's own maps it
+// survives the browser stopping an idle worker; the tracker clears it when the
+// last incognito window closes (see discardIfLastIncognitoWindow()).
+const SESSION_STORE_TAB_IDS_KEY = 'incognitoTabIds';
+const SESSION_STORE_TAB_PREFIX = 'incognitoTab:'; // + tabId -> tab record with its nodes
+const SESSION_STORE_META_PREFIX = 'incognitoMeta:';
+
+class SessionHistoryStore {
+    constructor(flushDelay = 500) {
+        this.flushDelay = flushDelay;
+        this.tabIds = new Set(); // tabs with a record in session storage
+        this.pendingTabs = new Map(); // tabId -> tabHistory
+        this.pendingDeletes = new Set(); // tabIds whose records should be removed
+        this.flushTimer = null;
+        this.queue = Promise.resolve(); // serialises flushes and clears
+    }
+
+    async open() {
+        const result = await chrome.storage.session.get([SESSION_STORE_TAB_IDS_KEY]);
+        this.tabIds = new Set(result[SESSION_STORE_TAB_IDS_KEY] || []);
+        console.log(`Using session history store; ${this.tabIds.size} tab(s) kept from before`);
+    }
+
+    // Loading
+
+    // Returns [tabId, tabHistory] pairs; nodes are loaded separately with loadNodes()
+    async loadTabs(status) {
+        const records = await this.getRecords(Array.from(this.tabIds));
+        return records
+            .filter(record => record.status === status)
+            .map(record => [record.tabId, this.fromTabRecord(record)]);
+    }
+
+    async loadNodes(tabIds) {
+        const nodesByTab = new Map();
+        for (const record of await this.getRecords(tabIds)) {
+            nodesByTab.set(record.tabId, record.nodes || []);
+        }
+        return nodesByTab;
+    }
+
+    async getMeta(key) {
+        const metaKey = SESSION_STORE_META_PREFIX + key;
+        const result = await chrome.storage.session.get([metaKey]);
+        return result[metaKey];
+    }
+
+    setMeta(key, value) {
+        return chrome.storage.session.set({ [SESSION_STORE_META_PREFIX + key]: value });
+    }
+
+    // Writing
+
+    // A tab is stored as one item, so it is always written whole and nodeIds doesn't matter
+    saveTab(tabId, tabHistory, nodeIds = null) {
+        this.pendingDeletes.delete(tabId);
+        this.pendingTabs.set(tabId, tabHistory);
+        this.scheduleFlush();
+    }
+
+    deleteTab(tabId) {
+        this.pendingTabs.delete(tabId);
+        this.pendingDeletes.add(tabId);
+        this.scheduleFlush();
+    }
+
+    async clear(status = null) {
+        await this.flush();
+        return this.enqueue(async () => {
+            let tabIds = Array.from(this.tabIds);
+            if (status !== null) {
+                tabIds = (await this.getRecords(tabIds))
+                    .filter(record => record.status === status)
+                    .map(record => record.tabId);
+            }
+            tabIds.forEach(tabId => this.tabIds.delete(tabId));
+            await chrome.storage.session.remove(tabIds.map(tabId => this.getTabKey(tabId)));
+            await chrome.storage.session.set({ [SESSION_STORE_TAB_IDS_KEY]: Array.from(this.tabIds) });
+        });
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const pendingTabs = this.pendingTabs;
+        const pendingDeletes = this.pendingDeletes;
+        this.pendingTabs = new Map();
+        this.pendingDeletes = new Set();
+        if (pendingTabs.size === 0 && pendingDeletes.size === 0) return this.queue;
+
+        return this.enqueue(async () => {
+            // Closed tabs whose nodes were never loaded keep the nodes already stored
+            const unloaded = Array.from(pendingTabs.entries())
+                .filter(([, tabHistory]) => !tabHistory.nodes)
+                .map(([tabId]) => tabId);
+            const storedNodes = await this.loadNodes(unloaded);
+
+            const items = {};
+            for (const [tabId, tabHistory] of pendingTabs) {
+                items[this.getTabKey(tabId)] = {
+                    ...this.toTabRecord(tabId, tabHistory),
+                    nodes: tabHistory.nodes || storedNodes.get(tabId) || []
+                };
+                this.tabIds.add(tabId);
+            }
+            pendingDeletes.forEach(tabId => this.tabIds.delete(tabId));
+            items[SESSION_STORE_TAB_IDS_KEY] = Array.from(this.tabIds);
+
+            await chrome.storage.session.remove(Array.from(pendingDeletes).map(tabId => this.getTabKey(tabId)));
+            await chrome.storage.session.set(items);
+        });
+    }
+
+    // Records
+
+    getTabKey(tabId) {
+        return SESSION_STORE_TAB_PREFIX + tabId;
+    }
+
+    async getRecords(tabIds) {
+        if (tabIds.length === 0) return [];
+        const keys = tabIds.map(tabId => this.getTabKey(tabId));
+        const result = await chrome.storage.session.get(keys);
+        return keys.filter(key => result[key]).map(key => result[key]);
+    }
+
+    toTabRecord(tabId, tabHistory) {
+        const { nodes, tree, ...fields } = tabHistory;
+        return {
+            ...fields,
+            tabId: tabId,
+            status: tabHistory.isClosed ? 'closed' : 'active',
+            nodeCount: nodes ? nodes.length : tabHistory.nodeCount
+        };
+    }
+
+    fromTabRecord(record) {
+        const { tabId, status, nodes, ...tabHistory } = record;
+        tabHistory.nodes = null;
+        tabHistory.tree = null;
+        return tabHistory;
+    }
+
+    enqueue(operation) {
+        this.queue = this.queue.then(operation).catch(error => {
+            console.error('Session history store operation failed:', error);
+        });
+        return this.queue;
+    }
+}
@@ -0,0 +1,199 @@
+// Tab History Tree Generator - Side panel
+// Shows the tree of the active tab in this panel's window, switches with the
+// active tab and applies the background's history events to it as they arrive.
+class TabHistorySidePanel {
+    constructor() {
+        this.windowId = null;
+        this.tabId = null;
+        this.renderScheduled = false;
+        this.live = new LiveTabTrees((change) => this.handleLiveChange(change));
+        this.init();
+    }
+
+    async init() {
+        const currentWindow = await chrome.windows.getCurrent();
+        this.windowId = currentWindow.id;
+        this.bindEvents();
+
+        const [tab] = await chrome.tabs.query({ active: true, windowId: this.windowId });
+        await this.showTab(tab ? tab.id : null);
+        this.live.connect();
+    }
+
+    bindEvents() {
+        chrome.tabs.onActivated.addListener((activeInfo) => {
+            if (activeInfo.windowId === this.windowId) {
+                this.showTab(activeInfo.tabId);
+            }
+        });
+
+        // Tabs dragged in or out of this window change which tab is active here
+        chrome.tabs.onAttached.addListener(() => this.followActiveTab());
+        chrome.tabs.onDetached.addListener(() => this.followActiveTab());
+    }
+
+    async followActiveTab() {
+        const [tab] = await chrome.tabs.query({ active: true, windowId: this.windowId });
+        if (tab && tab.id !== this.tabId) this.showTab(tab.id);
+    }
+
+    showTab(tabId) {
+        this.tabId = tabId;
+        this.live.tabId = tabId;
+        this.live.setTabTrees([]);
+        return this.loadTree();
+    }
+
+    handleLiveChange(change) {
+        if (change.reload) {
+            this.loadTree();
+            return;
+        }
+
+        // A navigation arrives as several events; draw once for all of them
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.renderCurrent();
+        });
+    }
+
+    renderCurrent() {
+        const tabTree = this.live.getTabTree(this.tabId);
+        if (!tabTree || !tabTree.tree) {
+            this.renderEmpty('This tab has no recorded history yet.');
+        } else {
+            this.renderTabTree(tabTree);
+        }
+    }
+
+    async loadTree() {
+        if (this.tabId === null) {
+            this.renderEmpty('No active tab.');
+            return;
+        }
+
+        const tabId = this.tabId;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getTabTree', tabId: tabId });
+            if (tabId !== this.tabId) return; // switched tabs while waiting
+
+            if (!response || !response.success) {
+                this.renderEmpty('Failed to load the tree: ' + (response && response.error || 'Unknown error'));
+                return;
+            }
+            this.live.setTabTrees(response.tabTree ? [response.tabTree] : []);
+            this.renderCurrent();
+        } catch (error) {
+            console.error('Error loading tab tree:', error);
+            this.renderEmpty('Error communicating with extension: ' + error.message);
+        }
+    }
+
+    renderEmpty(message) {
+        document.getElementById('tabTitle').textContent = 'Tab History Tree';
+        document.getElementById('tabInfo').replaceChildren();
+        const empty = document.createElement('div');
+        empty.className = 'empty-state';
+        empty.textContent = message;
+        document.getElementById('tree').replaceChildren(empty);
+    }
+
+    renderTabTree(tabTree) {
+        const current = this.findCurrentNode(tabTree.tree);
+        document.getElementById('tabTitle').textContent =
+            current ? (current.entry.title || getDomainFromUrl(current.entry.url)) : `Tab ${tabTree.tabId}`;
+
+        const info = document.getElementById('tabInfo');
+        info.textContent = `Tab ${tabTree.tabId} · ${tabTree.nodeCount} entries · position ${tabTree.currentIndex + 1}/${tabTree.sessionHistory.length}`;
+        if (tabTree.pauseReason) {
+            const paused = document.createElement('span');
+            paused.className = 'paused';
+            paused.textContent = ` · paused for ${tabTree.pauseReason}`;
+            info.appendChild(paused);
+        }
+
+        document.getElementById('tree').replaceChildren(this.renderTreeNode(tabTree.tree));
+
+        const currentElement = document.querySelector('.tree-content.current');
+        if (currentElement) currentElement.scrollIntoView({ block: 'nearest' });
+    }
+
+    renderTreeNode(node) {
+        const element = document.createElement('div');
+        element.className = 'tree-node';
+        if ((node.children || []).length > 1) element.classList.add('has-branches');
+
+        if (node.entry.missedNavigations) {
+            const gap = document.createElement('div');
+            gap.className = 'tracking-gap';
+            gap.textContent = `⋯ ${node.entry.missedNavigations} navigation(s) not recorded while paused`;
+            element.appendChild(gap);
+        }
+
+        const content = document.createElement('a');
+        content.className = 'tree-content';
+        if (node.isCurrent) content.classList.add('current');
+        else if (node.isOnCurrentPath) content.classList.add('on-path');
+        // Anything but an http(s) page is shown without a link
+        const href = safeHref(node.entry.url);
+        if (href) content.href = href;
+        content.title = `${node.entry.url}\nClick to go here in the tab, Ctrl/Shift-click to open in a new tab`;
+        content.addEventListener('click', (e) => this.handleNodeClick(e, node));
+
+        const title = document.createElement('div');
+        title.className = 'node-title';
+        title.textContent = node.entry.title || getDomainFromUrl(node.entry.url);
+        const meta = document.createElement('div');
+        meta.className = 'node-meta';
+        const dwell = node.entry.dwellTime ? ` · ⏱ ${formatDuration(node.entry.dwellTime)}` : '';
+        const arrivals = node.entry.arrivals ? ` · ${formatArrivals(node.entry.arrivals)}` : '';
+        meta.textContent = `${this.formatTime(node.entry.timestamp)}${dwell} · ${getNodeTypeLabel(node.entry.type)}${arrivals} · ${node.entry.url}`;
+        content.append(title, meta);
+        element.appendChild(content);
+
+        for (const child of node.children || []) {
+            element.appendChild(this.renderTreeNode(child));
+        }
+        return element;
+    }
+
+    async handleNodeClick(event, node) {
+        event.preventDefault();
+        if (event.ctrlKey || event.metaKey || event.shiftKey) {
+            const href = safeHref(node.entry.url);
+            if (href) chrome.tabs.create({ url: href, active: false });
+            return;
+        }
+        if (node.isCurrent) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'navigateToNode', tabId: this.tabId, nodeId: node.id });
+            if (!response || !response.success) {
+                console.error('Failed to navigate:', response && response.error);
+            }
+        } catch (error) {
+            console.error('Error navigating to node:', error);
+        }
+    }
+
+    findCurrentNode(node) {
+        if (node.isCurrent) return node;
+        for (const child of node.children || []) {
+            const found = this.findCurrentNode(child);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    formatTime(timestamp) {
+        if (!timestamp || isNaN(timestamp)) return 'Unknown';
+        return new Date(timestamp).toLocaleTimeString();
+    }
+}
+
+// Initialize the side panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new TabHistorySidePanel();
+});
@@ -0,0 +1,360 @@
+// Tab History Tree Generator - Timeline
+// Puts every tab on one shared time axis: each tab is a swim-lane whose bar runs
+// from when it was opened to when it was closed, with a mark for every
+// navigation. Clicking a mark opens that node in the dashboard's tree view.
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const TIMELINE_SPANS = [ // zoom presets: how much time fits in the visible width
+    { label: '5 minutes', span: 5 * MINUTE },
+    { label: '15 minutes', span: 15 * MINUTE },
+    { label: '1 hour', span: HOUR },
+    { label: '6 hours', span: 6 * HOUR },
+    { label: '1 day', span: DAY },
+    { label: '1 week', span: 7 * DAY }
+];
+const MIN_SPAN = 2 * MINUTE;
+const MAX_SPAN = 30 * DAY;
+const TICK_INTERVALS = [MINUTE, 5 * MINUTE, 15 * MINUTE, 30 * MINUTE, HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR, DAY, 7 * DAY];
+const MIN_TICK_SPACING = 90; // px between axis labels
+const LABEL_WIDTH = 220; // px of the sticky lane labels
+
+class TabHistoryTimeline {
+    constructor() {
+        this.tabTrees = [];
+        this.start = 0; // time at the left edge of the lanes
+        this.end = 0;
+        this.msPerPixel = MINUTE / 10;
+        this.renderScheduled = false;
+        this.axisScheduled = false;
+        this.axisRange = null; // time span the axis currently has labels for
+        this.live = new LiveTabTrees((change) => this.handleLiveChange(change));
+        this.init();
+    }
+
+    async init() {
+        this.bindEvents();
+        await this.loadTabTrees();
+        this.fitAll();
+        this.live.connect();
+    }
+
+    bindEvents() {
+        const spanSelect = document.getElementById('spanSelect');
+        spanSelect.add(new Option('Custom', ''));
+        TIMELINE_SPANS.forEach(option => spanSelect.add(new Option(option.label, String(option.span))));
+        spanSelect.addEventListener('change', (e) => {
+            if (e.target.value) this.setSpan(parseInt(e.target.value));
+        });
+
+        document.getElementById('zoomInBtn').addEventListener('click', () => {
+            this.zoomAround(this.msPerPixel / 2, this.getLanesWidth() / 2);
+        });
+
+        document.getElementById('zoomOutBtn').addEventListener('click', () => {
+            this.zoomAround(this.msPerPixel * 2, this.getLanesWidth() / 2);
+        });
+
+        document.getElementById('fitBtn').addEventListener('click', () => {
+            this.fitAll();
+        });
+
+        document.getElementById('nowBtn').addEventListener('click', () => {
+            this.scrollToTime(Date.now(), this.getLanesWidth() - 40);
+        });
+
+        document.getElementById('includeClosed').addEventListener('change', () => {
+            this.render();
+        });
+
+        document.getElementById('refreshBtn').addEventListener('click', () => {
+            this.loadTabTrees();
+        });
+
+        document.getElementById('dashboardBtn').addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+        });
+
+        document.getElementById('timeline').addEventListener('scroll', () => this.scheduleAxis());
+
+        // Ctrl/Cmd + wheel zooms around the pointer; a plain wheel scrolls as usual
+        document.getElementById('timeline').addEventListener('wheel', (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+            e.preventDefault();
+            const rect = e.currentTarget.getBoundingClientRect();
+            this.zoomAround(this.msPerPixel * Math.exp(e.deltaY * 0.002), e.clientX - rect.left - LABEL_WIDTH);
+        }, { passive: false });
+    }
+
+    async loadTabTrees() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getAllTabTrees' });
+            if (!response || !response.success) {
+                this.showEmptyState('Failed to load tab trees: ' + (response && response.error || 'Unknown error'));
+                return;
+            }
+            this.tabTrees = response.tabTrees || [];
+            this.live.setTabTrees(this.tabTrees);
+            this.render();
+        } catch (error) {
+            console.error('Error loading tab trees:', error);
+            this.showEmptyState('Error communicating with extension: ' + error.message);
+        }
+    }
+
+    handleLiveChange(change) {
+        if (change.reload) {
+            this.loadTabTrees();
+            return;
+        }
+
+        this.tabTrees = this.live.tabTrees;
+        // A navigation arrives as several events; draw once for all of them
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+
+    scheduleAxis() {
+        if (this.axisScheduled) return;
+        this.axisScheduled = true;
+        requestAnimationFrame(() => {
+            this.axisScheduled = false;
+            // Redraw once the view gets near the edge of the labelled stretch
+            const timeline = document.getElementById('timeline');
+            const left = this.start + timeline.scrollLeft * this.msPerPixel;
+            const right = left + timeline.clientWidth * this.msPerPixel;
+            if (!this.axisRange || left < this.axisRange.from || right > this.axisRange.to) {
+                this.renderAxis();
+            }
+        });
+    }
+
+    getVisibleTabTrees() {
+        const includeClosed = document.getElementById('includeClosed').checked;
+        return this.tabTrees
+            .filter(tabTree => tabTree.tree && tabTree.tree.entry && (includeClosed || !tabTree.isClosed))
+            .sort((a, b) => this.getTabStart(a) - this.getTabStart(b));
+    }
+
+    getTabStart(tabTree) {
+        return Math.min(tabTree.creationTime || Infinity, tabTree.tree.entry.timestamp || Infinity);
+    }
+
+    getTabEnd(tabTree) {
+        return tabTree.isClosed ? (tabTree.closedAt || tabTree.lastUpdated) : Date.now();
+    }
+
+    getNodes(tabTree) {
+        const nodes = [];
+        const visit = (node) => {
+            nodes.push(node);
+            (node.children || []).forEach(visit);
+        };
+        visit(tabTree.tree);
+        return nodes;
+    }
+
+    updateRange(tabTrees) {
+        if (tabTrees.length === 0) return;
+        const start = Math.min(...tabTrees.map(tabTree => this.getTabStart(tabTree)));
+        const end = Math.max(Date.now(), ...tabTrees.map(tabTree => this.getTabEnd(tabTree)));
+        // A little room on both sides so the first and last marks aren't cut off
+        const padding = Math.max(MINUTE, (end - start) * 0.02);
+        this.start = start - padding;
+        this.end = end + padding;
+    }
+
+    render() {
+        const tabTrees = this.getVisibleTabTrees();
+        const lanes = document.getElementById('lanes');
+        const timeline = document.getElementById('timeline');
+        const scrollLeft = timeline.scrollLeft;
+
+        if (tabTrees.length === 0) {
+            this.showEmptyState('No tab history to show.');
+            return;
+        }
+        document.getElementById('emptyState').hidden = true;
+
+        // Keep what's on screen in place when the range grows
+        const leftTime = this.start + scrollLeft * this.msPerPixel;
+        const hadRange = this.end > this.start;
+        this.updateRange(tabTrees);
+
+        const width = LABEL_WIDTH + Math.ceil((this.end - this.start) / this.msPerPixel);
+        document.getElementById('timelineInner').style.width = `${width}px`;
+
+        lanes.replaceChildren(...tabTrees.map(tabTree => this.renderLane(tabTree)));
+
+        const now = document.createElement('div');
+        now.className = 'now-line';
+        now.style.left = `${LABEL_WIDTH + this.getX(Date.now())}px`;
+        now.title = 'Now';
+        lanes.appendChild(now);
+
+        document.getElementById('summary').textContent =
+            `${tabTrees.length} tabs · ${this.formatDateTime(this.start)} – ${this.formatDateTime(this.end)}`;
+        if (hadRange) timeline.scrollLeft = (leftTime - this.start) / this.msPerPixel;
+        this.renderAxis();
+    }
+
+    renderAxis() {
+        // Zoomed in, the lanes can be millions of pixels wide; only label the part around the view
+        const timeline = document.getElementById('timeline');
+        const from = Math.max(this.start, this.start + (timeline.scrollLeft - timeline.clientWidth) * this.msPerPixel);
+        const to = Math.min(this.end, this.start + (timeline.scrollLeft + 2 * timeline.clientWidth) * this.msPerPixel);
+
+        const ticks = [];
+        const interval = TICK_INTERVALS.find(tick => tick / this.msPerPixel >= MIN_TICK_SPACING) || TICK_INTERVALS[TICK_INTERVALS.length - 1];
+        // Align ticks to local midnight so day and hour marks land on round times
+        const midnight = new Date(from);
+        midnight.setHours(0, 0, 0, 0);
+        const first = midnight.getTime() + Math.ceil((from - midnight.getTime()) / interval) * interval;
+
+        for (let time = first; time <= to; time += interval) {
+            const tick = document.createElement('div');
+            tick.className = 'tick';
+            const date = new Date(time);
+            const isDayStart = date.getHours() === 0 && date.getMinutes() === 0;
+            if (isDayStart) tick.classList.add('day');
+            tick.style.left = `${LABEL_WIDTH + this.getX(time)}px`;
+            tick.textContent = isDayStart || interval >= DAY
+                ? date.toLocaleDateString()
+                : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            ticks.push(tick);
+        }
+        document.getElementById('ticks').replaceChildren(...ticks);
+        this.axisRange = { from: from, to: to };
+    }
+
+    renderLane(tabTree) {
+        const lane = document.createElement('div');
+        lane.className = 'lane';
+        if (tabTree.isClosed) lane.classList.add('closed');
+
+        const label = document.createElement('div');
+        label.className = 'lane-label';
+        const current = this.findCurrentNode(tabTree.tree);
+        const title = current ? (current.entry.title || getDomainFromUrl(current.entry.url)) : '';
+        label.textContent = `${this.getTabLabel(tabTree)} · ${title}`;
+        label.title = label.textContent;
+        lane.appendChild(label);
+
+        const tabStart = this.getTabStart(tabTree);
+        const tabEnd = this.getTabEnd(tabTree);
+        const bar = document.createElement('div');
+        bar.className = 'lane-bar';
+        bar.style.left = `${LABEL_WIDTH + this.getX(tabStart)}px`;
+        bar.style.width = `${Math.max(2, (tabEnd - tabStart) / this.msPerPixel)}px`;
+        bar.title = `Opened ${this.formatDateTime(tabStart)}` +
+            (tabTree.isClosed ? ` · closed ${this.formatDateTime(tabEnd)}` : ' · still open');
+        lane.appendChild(bar);
+
+        for (const node of this.getNodes(tabTree)) {
+            if (!node.entry.timestamp) continue;
+            lane.appendChild(this.renderMark(tabTree, node));
+        }
+        return lane;
+    }
+
+    renderMark(tabTree, node) {
+        const mark = document.createElement('div');
+        mark.className = `mark type-${node.entry.type}`;
+        if (node.isCurrent) mark.classList.add('current');
+        mark.style.left = `${LABEL_WIDTH + this.getX(node.entry.timestamp)}px`;
+        mark.title = `${node.entry.title || node.entry.url}\n${node.entry.url}\n` +
+            `${this.formatDateTime(node.entry.timestamp)} · ${getNodeTypeLabel(node.entry.type)}` +
+            (node.entry.dwellTime ? ` · ${formatDuration(node.entry.dwellTime)} in front` : '') + '\n' +
+            'Click to show this node in the tree view';
+        mark.addEventListener('click', () => this.openNode(tabTree.tabId, node.id));
+        return mark;
+    }
+
+    openNode(tabId, nodeId) {
+        chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html?tab=${tabId}&node=${nodeId}`) });
+    }
+
+    getX(time) {
+        return (time - this.start) / this.msPerPixel;
+    }
+
+    getLanesWidth() {
+        return Math.max(100, document.getElementById('timeline').clientWidth - LABEL_WIDTH);
+    }
+
+    setSpan(span) {
+        // Zoom presets keep the right edge (usually "now") in view
+        this.zoomAround(span / this.getLanesWidth(), this.getLanesWidth());
+    }
+
+    fitAll() {
+        const tabTrees = this.getVisibleTabTrees();
+        if (tabTrees.length === 0) return;
+        this.updateRange(tabTrees);
+        this.setMsPerPixel((this.end - this.start) / this.getLanesWidth());
+        this.render();
+        document.getElementById('timeline').scrollLeft = 0;
+    }
+
+    zoomAround(msPerPixel, offsetX) {
+        // Zoom so the time under offsetX (px from the left of the lanes) stays put
+        const timeline = document.getElementById('timeline');
+        const time = this.start + (timeline.scrollLeft + offsetX) * this.msPerPixel;
+        this.setMsPerPixel(msPerPixel);
+        this.render();
+        this.scrollToTime(time, offsetX);
+    }
+
+    scrollToTime(time, offsetX) {
+        document.getElementById('timeline').scrollLeft = this.getX(time) - offsetX;
+    }
+
+    setMsPerPixel(msPerPixel) {
+        const width = this.getLanesWidth();
+        this.msPerPixel = Math.min(MAX_SPAN / width, Math.max(MIN_SPAN / width, msPerPixel));
+
+        // Show the matching preset, or none when zoomed in between
+        const span = this.msPerPixel * width;
+        const preset = TIMELINE_SPANS.find(option => Math.abs(option.span - span) / option.span < 0.05);
+        document.getElementById('spanSelect').value = preset ? String(preset.span) : '';
+    }
+
+    showEmptyState(message) {
+        document.getElementById('ticks').replaceChildren();
+        this.axisRange = null;
+        document.getElementById('lanes').replaceChildren();
+        const emptyState = document.getElementById('emptyState');
+        emptyState.textContent = message;
+        emptyState.hidden = false;
+    }
+
+    findCurrentNode(node) {
+        if (!node) return null;
+        if (node.isCurrent) return node;
+        for (const child of node.children || []) {
+            const found = this.findCurrentNode(child);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    getTabLabel(tabTree) {
+        let label = `Tab ${tabTree.tabId}`;
+        if (tabTree.isClosed) label += tabTree.importedAt ? ' (Imported)' : (tabTree.endedByRestart ? ' (Ended by restart)' : ' (Closed)');
+        return label;
+    }
+
+    formatDateTime(timestamp) {
+        if (!timestamp || isNaN(timestamp)) return 'Unknown';
+        return new Date(timestamp).toLocaleString();
+    }
+}
+
+// Initialize the timeline when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new TabHistoryTimeline();
+});
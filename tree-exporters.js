@@ -0,0 +1,216 @@
+// Tab History Tree Generator - Tree exporters
+// Serialises the tree/children structure returned by getAllTabTrees into
+// formats that can be pasted into notes, docs and bug reports.
+class TreeExporter {
+    constructor(tabTrees, getNodeTypeLabel = (type) => type) {
+        this.tabTrees = tabTrees;
+        this.getNodeTypeLabel = getNodeTypeLabel;
+    }
+
+    static get formats() {
+        return {
+            json: { extension: 'json', mimeType: 'application/json' },
+            dot: { extension: 'dot', mimeType: 'text/vnd.graphviz' },
+            mermaid: { extension: 'mmd', mimeType: 'text/plain' },
+            opml: { extension: 'opml', mimeType: 'text/x-opml' },
+            markdown: { extension: 'md', mimeType: 'text/markdown' }
+        };
+    }
+
+    export(format) {
+        switch (format) {
+            case 'json': return this.toJson();
+            case 'dot': return this.toDot();
+            case 'mermaid': return this.toMermaid();
+            case 'opml': return this.toOpml();
+            case 'markdown': return this.toMarkdown();
+            default: throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    toJson() {
+        // Same shape the importer accepts
+        return JSON.stringify({
+            tabTrees: this.tabTrees,
+            exportTime: new Date().toISOString(),
+            version: '1.0'
+        }, null, 2);
+    }
+
+    toDot() {
+        const lines = [
+            'digraph TabHistory {',
+            '    rankdir=LR;',
+            '    node [shape=box, style="rounded,filled", fillcolor=white, fontname="Helvetica", fontsize=10];'
+        ];
+
+        for (const tabTree of this.getExportableTrees()) {
+            // Graphviz only boxes and labels subgraphs whose name starts with "cluster"
+            const clusterId = `cluster_tab${String(tabTree.tabId).replace('-', 'm')}`;
+            lines.push(`    subgraph ${clusterId} {`);
+            lines.push(`        label="${this.escapeDot(this.getTabLabel(tabTree))}";`);
+
+            this.walk(tabTree.tree, (node, parent) => {
+                const key = this.getNodeKey(tabTree.tabId, node.id);
+                const entry = node.entry;
+                const label = [entry.title || entry.url, entry.url, `${this.formatTimestamp(entry.timestamp)} · ${this.getNodeTypeLabel(entry.type)}`].join('\n');
+                const current = node.isCurrent ? ', fillcolor="#e8f0fe", color="#4285f4", penwidth=2' : '';
+                lines.push(`        ${key} [label="${this.escapeDot(label)}", URL="${this.escapeDot(entry.url)}", tooltip="${this.escapeDot(entry.url)}"${current}];`);
+                if (parent) {
+                    lines.push(`        ${this.getNodeKey(tabTree.tabId, parent.id)} -> ${key};`);
+                }
+            });
+
+            lines.push('    }');
+        }
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    toMermaid() {
+        const lines = ['graph TD'];
+        const clicks = [];
+        const currentKeys = [];
+
+        for (const tabTree of this.getExportableTrees()) {
+            lines.push(`    subgraph ${this.getNodeKey(tabTree.tabId, 'tab')}["${this.escapeMermaid(this.getTabLabel(tabTree))}"]`);
+
+            this.walk(tabTree.tree, (node, parent) => {
+                const key = this.getNodeKey(tabTree.tabId, node.id);
+                const entry = node.entry;
+                const label = [entry.title || entry.url, entry.url, `${this.formatTimestamp(entry.timestamp)} · ${this.getNodeTypeLabel(entry.type)}`]
+                    .map(part => this.escapeMermaid(part))
+                    .join('<br/>');
+                lines.push(`        ${key}["${label}"]`);
+                if (parent) {
+                    lines.push(`        ${this.getNodeKey(tabTree.tabId, parent.id)} --> ${key}`);
+                }
+                clicks.push(`    click ${key} "${this.escapeUrl(entry.url)}" _blank`);
+                if (node.isCurrent) currentKeys.push(key);
+            });
+
+            lines.push('    end');
+        }
+
+        lines.push(...clicks);
+        lines.push('    classDef current fill:#e8f0fe,stroke:#4285f4,stroke-width:3px');
+        if (currentKeys.length > 0) {
+            lines.push(`    class ${currentKeys.join(',')} current`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    toOpml() {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<opml version="2.0">',
+            '    <head>',
+            '        <title>Tab History Trees</title>',
+            `        <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+            '    </head>',
+            '    <body>'
+        ];
+
+        const renderOutline = (node, depth) => {
+            const entry = node.entry;
+            const indent = '    '.repeat(depth);
+            const attributes = [
+                `text="${this.escapeXml(entry.title || entry.url)}"`,
+                'type="link"',
+                `url="${this.escapeXml(entry.url)}"`,
+                `created="${this.escapeXml(new Date(entry.timestamp).toUTCString())}"`,
+                `navigationType="${this.escapeXml(this.getNodeTypeLabel(entry.type))}"`
+            ];
+            if (node.isCurrent) attributes.push('isCurrent="true"');
+
+            const children = node.children || [];
+            if (children.length === 0) {
+                lines.push(`${indent}<outline ${attributes.join(' ')}/>`);
+                return;
+            }
+            lines.push(`${indent}<outline ${attributes.join(' ')}>`);
+            children.forEach(child => renderOutline(child, depth + 1));
+            lines.push(`${indent}</outline>`);
+        };
+
+        for (const tabTree of this.getExportableTrees()) {
+            lines.push(`        <outline text="${this.escapeXml(this.getTabLabel(tabTree))}">`);
+            renderOutline(tabTree.tree, 3);
+            lines.push('        </outline>');
+        }
+
+        lines.push('    </body>', '</opml>');
+        return lines.join('\n') + '\n';
+    }
+
+    toMarkdown() {
+        const lines = ['# Tab History Trees', '', `_Exported ${this.formatTimestamp(Date.now())}_`];
+
+        for (const tabTree of this.getExportableTrees()) {
+            lines.push('', `## ${this.getTabLabel(tabTree)}`, '');
+            this.walk(tabTree.tree, (node, parent, depth) => {
+                const entry = node.entry;
+                const link = `[${this.escapeMarkdown(entry.title || entry.url)}](${this.escapeMarkdownUrl(entry.url)})`;
+                const current = node.isCurrent ? ' **(current)**' : '';
+                lines.push(`${'  '.repeat(depth)}- ${link} — ${this.formatTimestamp(entry.timestamp)} · ${this.getNodeTypeLabel(entry.type)}${current}`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    getExportableTrees() {
+        return this.tabTrees.filter(tabTree => tabTree.tree && tabTree.tree.entry);
+    }
+
+    walk(node, visit, parent = null, depth = 0) {
+        visit(node, parent, depth);
+        (node.children || []).forEach(child => this.walk(child, visit, node, depth + 1));
+    }
+
+    getTabLabel(tabTree) {
+        let label = `Tab ${tabTree.tabId}`;
+        if (tabTree.isClosed) label += ' (Closed)';
+        return label;
+    }
+
+    getNodeKey(tabId, suffix) {
+        // Imported tabs have negative ids; keep identifiers alphanumeric
+        return `tab${String(tabId).replace('-', 'm')}_${suffix}`;
+    }
+
+    formatTimestamp(timestamp) {
+        if (!timestamp || isNaN(timestamp)) return 'unknown time';
+        return new Date(timestamp).toISOString();
+    }
+
+    escapeDot(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    }
+
+    escapeMermaid(text) {
+        return String(text).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\\[\]*_`])/g, '\\$1');
+    }
+
+    escapeMarkdownUrl(url) {
+        return this.escapeUrl(url).replace(/\(/g, '%28').replace(/\)/g, '%29');
+    }
+
+    escapeUrl(url) {
+        return String(url).replace(/ /g, '%20').replace(/"/g, '%22').replace(/</g, '%3C').replace(/>/g, '%3E');
+    }
+}
@@ -0,0 +1,58 @@
+// Tab History Tree Generator - Tree layout
+// Positions the nodes of a getAllTabTrees tree for a left-to-right node-link
+// drawing: depth picks the column, leaves take successive rows and every parent
+// is centred on its visible children.
+class TreeLayout {
+    constructor(options = {}) {
+        this.nodeWidth = options.nodeWidth || 180;
+        this.nodeHeight = options.nodeHeight || 36;
+        this.columnGap = options.columnGap || 48;
+        this.rowGap = options.rowGap || 12;
+        this.isCollapsed = options.isCollapsed || (() => false);
+    }
+
+    // Returns {nodes: [{node, x, y, depth, collapsed, hiddenCount}], links: [{source, target}], width, height}
+    layout(root) {
+        const nodes = [];
+        const links = [];
+        let nextRow = 0;
+
+        const place = (node, depth) => {
+            const children = node.children || [];
+            const collapsed = children.length > 0 && this.isCollapsed(node);
+            const placed = {
+                node: node,
+                x: depth * (this.nodeWidth + this.columnGap),
+                y: 0,
+                depth: depth,
+                collapsed: collapsed,
+                hiddenCount: collapsed ? this.countDescendants(node) : 0
+            };
+            nodes.push(placed);
+
+            if (children.length === 0 || collapsed) {
+                placed.y = nextRow++ * (this.nodeHeight + this.rowGap);
+                return placed;
+            }
+
+            const placedChildren = children.map(child => place(child, depth + 1));
+            placedChildren.forEach(child => links.push({ source: placed, target: child }));
+            placed.y = (placedChildren[0].y + placedChildren[placedChildren.length - 1].y) / 2;
+            return placed;
+        };
+
+        if (root) place(root, 0);
+
+        const maxDepth = nodes.reduce((max, placed) => Math.max(max, placed.depth), 0);
+        return {
+            nodes: nodes,
+            links: links,
+            width: nodes.length > 0 ? maxDepth * (this.nodeWidth + this.columnGap) + this.nodeWidth : 0,
+            height: nextRow > 0 ? nextRow * (this.nodeHeight + this.rowGap) - this.rowGap : 0
+        };
+    }
+
+    countDescendants(node) {
+        return (node.children || []).reduce((sum, child) => sum + 1 + this.countDescendants(child), 0);
+    }
+}
@@ -0,0 +1,109 @@
+// Tab History Tree Generator - Tree search
+// Parses a search query such as `github "pull request" domain:github.com type:link closed:no after:2026-01-01`
+// and matches it against the tab trees returned by getAllTabTrees.
+class TreeSearch {
+    constructor(query, getNodeTypeLabel = (type) => type) {
+        this.query = (query || '').trim();
+        this.getNodeTypeLabel = getNodeTypeLabel;
+        this.terms = [];
+        this.domains = [];
+        this.types = [];
+        this.closed = null; // null = both, true = closed only, false = active only
+        this.after = null;
+        this.before = null;
+        this.errors = [];
+        this.parse();
+    }
+
+    get isEmpty() {
+        return this.query === '';
+    }
+
+    parse() {
+        const tokenPattern = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+        let match;
+        while ((match = tokenPattern.exec(this.query)) !== null) {
+            const [, filter, filterValue, phrase, word] = match;
+            if (filter) {
+                this.addFilter(filter.toLowerCase(), filterValue.replace(/^"|"$/g, ''));
+            } else {
+                this.terms.push((phrase !== undefined ? phrase : word).toLowerCase());
+            }
+        }
+    }
+
+    addFilter(filter, value) {
+        switch (filter) {
+            case 'domain':
+                this.domains.push(value.toLowerCase().replace(/^\*?\./, ''));
+                break;
+            case 'type':
+                this.types.push(value.toLowerCase());
+                break;
+            case 'closed':
+                this.closed = ['yes', 'true', '1'].includes(value.toLowerCase());
+                break;
+            case 'after':
+            case 'before': {
+                const time = Date.parse(value);
+                if (isNaN(time)) {
+                    this.errors.push(`Invalid date in ${filter}:${value}`);
+                } else if (filter === 'after') {
+                    this.after = time;
+                } else {
+                    // A bare date means "up to the end of that day"
+                    this.before = /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 : time;
+                }
+                break;
+            }
+            default:
+                // Unknown filters such as "http:" are part of the text
+                this.terms.push(`${filter}:${value}`.toLowerCase());
+        }
+    }
+
+    // Returns null when the tab doesn't match, otherwise the ids of matching
+    // nodes and of every node on a root-to-match path
+    matchTab(tabTree) {
+        if (this.closed !== null && !!tabTree.isClosed !== this.closed) return null;
+        if (!tabTree.tree || !tabTree.tree.entry) return null;
+
+        const matches = new Set();
+        const paths = new Set();
+        const visit = (node, ancestors) => {
+            const path = [...ancestors, node.id];
+            if (this.matchEntry(node.entry)) {
+                matches.add(node.id);
+                path.forEach(id => paths.add(id));
+            }
+            (node.children || []).forEach(child => visit(child, path));
+        };
+        visit(tabTree.tree, []);
+
+        return matches.size > 0 ? { matches: matches, paths: paths } : null;
+    }
+
+    matchEntry(entry) {
+        const domain = this.getDomain(entry.url);
+        const haystack = `${entry.title || ''} ${entry.url} ${domain}`.toLowerCase();
+
+        if (!this.terms.every(term => haystack.includes(term))) return false;
+        if (this.domains.length > 0 && !this.domains.some(wanted => domain === wanted || domain.endsWith('.' + wanted))) return false;
+        if (this.types.length > 0) {
+            const type = (entry.type || '').toLowerCase();
+            const label = String(this.getNodeTypeLabel(entry.type)).toLowerCase();
+            if (!this.types.some(wanted => wanted === type || wanted === label)) return false;
+        }
+        if (this.after !== null && !(entry.timestamp >= this.after)) return false;
+        if (this.before !== null && !(entry.timestamp < this.before)) return false;
+        return true;
+    }
+
+    getDomain(url) {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            return '';
+        }
+    }
+}
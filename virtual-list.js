@@ -0,0 +1,143 @@
+// Tab History Tree Generator - Virtual list
+// Draws only the items of a long list that are in or near the visible part of
+// its scroll container, with spacers standing in for the rest. Items may differ
+// in height: each is measured once drawn, and ones never drawn count as
+// estimatedHeight.
+const VIRTUAL_LIST_OVERSCAN = 600; // px drawn beyond each edge of the viewport
+const VIRTUAL_LIST_MAX_PASSES = 3; // re-layouts allowed when measured heights differ from the estimates
+
+class VirtualList {
+    // render(item) returns the element for an item; getKey(item) identifies it across updates
+    constructor(scroller, { estimatedHeight, getKey, render }) {
+        this.scroller = scroller;
+        this.estimatedHeight = estimatedHeight;
+        this.getKey = getKey;
+        this.render = render;
+        this.items = [];
+        this.heights = new Map(); // key -> measured height
+        this.rows = new Map(); // key -> row element currently drawn
+        this.element = document.createElement('div');
+        this.topSpacer = document.createElement('div');
+        this.bottomSpacer = document.createElement('div');
+        this.updateScheduled = false;
+
+        this.scroller.addEventListener('scroll', () => this.scheduleUpdate());
+    }
+
+    // Shows the list in the scroller, replacing whatever else was there
+    setItems(items) {
+        this.items = items;
+        // Their data may have changed, so every row is drawn afresh
+        this.rows.clear();
+        this.element.replaceChildren(this.topSpacer, this.bottomSpacer);
+        if (this.element.parentNode !== this.scroller) this.scroller.replaceChildren(this.element);
+        // A scroller that isn't on the page yet (e.g. inside a row being rendered)
+        // gets drawn on the next frame
+        if (this.element.isConnected) {
+            this.update();
+        } else {
+            this.scheduleUpdate();
+        }
+    }
+
+    // Swaps in the new data for one item, drawing it again if it is in view
+    refresh(item) {
+        const key = this.getKey(item);
+        const index = this.items.findIndex(candidate => this.getKey(candidate) === key);
+        if (index === -1) return;
+
+        this.items[index] = item;
+        const row = this.rows.get(key);
+        if (!row) return;
+        row.replaceChildren(this.render(item));
+        this.update();
+    }
+
+    scheduleUpdate() {
+        if (this.updateScheduled) return;
+        this.updateScheduled = true;
+        requestAnimationFrame(() => {
+            this.updateScheduled = false;
+            this.update();
+        });
+    }
+
+    update() {
+        // Something else took over the scroller (see setItems), or it left the page
+        if (this.element.parentNode !== this.scroller || !this.element.isConnected) return;
+        for (let pass = 0; pass < VIRTUAL_LIST_MAX_PASSES; pass++) {
+            if (!this.draw()) break;
+        }
+    }
+
+    getHeight(item) {
+        const height = this.heights.get(this.getKey(item));
+        return height !== undefined ? height : this.estimatedHeight;
+    }
+
+    // Returns true if measuring the drawn rows changed the layout
+    draw() {
+        const scrollerTop = this.scroller.getBoundingClientRect().top;
+        const listOffset = this.element.getBoundingClientRect().top - scrollerTop + this.scroller.scrollTop;
+        const viewTop = this.scroller.scrollTop - listOffset - VIRTUAL_LIST_OVERSCAN;
+        const viewBottom = this.scroller.scrollTop - listOffset + this.scroller.clientHeight + VIRTUAL_LIST_OVERSCAN;
+
+        let start = 0;
+        let above = 0;
+        while (start < this.items.length && above + this.getHeight(this.items[start]) < viewTop) {
+            above += this.getHeight(this.items[start]);
+            start++;
+        }
+        let end = start;
+        let bottom = above;
+        while (end < this.items.length && bottom < viewBottom) {
+            bottom += this.getHeight(this.items[end]);
+            end++;
+        }
+        let below = 0;
+        for (let index = end; index < this.items.length; index++) {
+            below += this.getHeight(this.items[index]);
+        }
+
+        const rows = new Map();
+        for (let index = start; index < end; index++) {
+            const item = this.items[index];
+            const key = this.getKey(item);
+            rows.set(key, this.rows.get(key) || this.createRow(item));
+        }
+
+        // Rows still in view stay where they are, so their state (e.g. inner scroll) survives
+        for (const [key, row] of this.rows) {
+            if (!rows.has(key)) row.remove();
+        }
+        let next = this.topSpacer.nextSibling;
+        for (const row of rows.values()) {
+            if (row === next) {
+                next = next.nextSibling;
+            } else {
+                this.element.insertBefore(row, next);
+            }
+        }
+        this.rows = rows;
+        this.topSpacer.style.height = `${above}px`;
+        this.bottomSpacer.style.height = `${below}px`;
+
+        let changed = false;
+        for (const [key, row] of rows) {
+            const height = row.offsetHeight;
+            if (this.heights.get(key) !== height) {
+                this.heights.set(key, height);
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    createRow(item) {
+        const row = document.createElement('div');
+        // Keeps the item's margins inside the row, where offsetHeight counts them
+        row.style.display = 'flow-root';
+        row.appendChild(this.render(item));
+        return row;
+    }
+}